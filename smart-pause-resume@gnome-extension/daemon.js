@@ -0,0 +1,101 @@
+#!/usr/bin/env -S gjs -m
+// ═════════════════════════════════════════════════════════════════════════════
+// daemon.js — run the Smart Pause Resume engine outside GNOME Shell
+// -----------------------------------------------------------------------------
+// Runs the same engine as the GNOME extension (lib/) as a session daemon, for
+// KDE, Sway, Hyprland and other desktops. It reads the extension's GSettings
+// schema, so `gsettings` and the preferences dialog configure both, and owns
+// the same D-Bus name, so smart-pause-resume-ctl drives either.
+//
+// Only needs: gjs. Shell-only features (Quick Settings, shortcuts,
+// notifications, pausing on screen lock, app and focus tracking) are left out.
+// ═════════════════════════════════════════════════════════════════════════════
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+import { DBUS_NAME } from './lib/dbusService.js';
+import { SmartPauseResumeEngine } from './lib/engine.js';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.smart-pause-resume';
+
+/**
+ * Settings from the `schemas` directory next to this file, falling back to
+ * schemas installed system-wide.
+ */
+function getSettings() {
+    const [path] = GLib.filename_from_uri(import.meta.url);
+    const schemaDir = GLib.build_filenamev([GLib.path_get_dirname(path), 'schemas']);
+
+    let source = Gio.SettingsSchemaSource.get_default();
+    if (GLib.file_test(GLib.build_filenamev([schemaDir, 'gschemas.compiled']), GLib.FileTest.EXISTS)) {
+        source = Gio.SettingsSchemaSource.new_from_directory(schemaDir, source, false);
+    }
+
+    const schema = source?.lookup(SCHEMA_ID, true);
+    if (!schema) {
+        throw new Error(`Schema ${SCHEMA_ID} not found; run glib-compile-schemas ${schemaDir}`);
+    }
+    return new Gio.Settings({ settings_schema: schema });
+}
+
+function isAlreadyRunning() {
+    const [hasOwner] = Gio.DBus.session.call_sync(
+        'org.freedesktop.DBus',
+        '/org/freedesktop/DBus',
+        'org.freedesktop.DBus',
+        'NameHasOwner',
+        new GLib.Variant('(s)', [DBUS_NAME]),
+        new GLib.VariantType('(b)'),
+        Gio.DBusCallFlags.NONE,
+        -1,
+        null
+    ).deepUnpack();
+    return hasOwner;
+}
+
+function main() {
+    // The GNOME extension (or another daemon) already does the job; two
+    // engines would fight over the players.
+    if (isAlreadyRunning()) {
+        printerr(`smart-pause-resume: ${DBUS_NAME} is already owned, exiting`);
+        return 0;
+    }
+
+    const loop = new GLib.MainLoop(null, false);
+    let status = 0;
+
+    const engine = new SmartPauseResumeEngine(getSettings(), {
+        onNameLost: () => {
+            status = 1;
+            loop.quit();
+        },
+    });
+
+    for (const signal of [2 /* SIGINT */, 15 /* SIGTERM */]) {
+        GLib.unix_signal_add(GLib.PRIORITY_DEFAULT, signal, () => {
+            loop.quit();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    engine.start();
+    loop.run();
+
+    // Keep running until the resume stack is saved for the next start.
+    let saved = false;
+    engine.destroy(() => {
+        saved = true;
+        loop.quit();
+    });
+    if (!saved) loop.run();
+    return status;
+}
+
+try {
+    System.exit(main());
+} catch (e) {
+    printerr(`smart-pause-resume: ${e.message}`);
+    System.exit(1);
+}
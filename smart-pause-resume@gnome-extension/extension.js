@@ -1,43 +1,270 @@
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
 
-// MPRIS Usage per spec: https://specifications.freedesktop.org/mpris-spec/latest/
-const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
-const MPRIS_PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player';
-const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+import { SmartPauseResumeEngine } from './lib/engine.js';
+import { ProfileManager } from './lib/profiles.js';
+import { TimeoutManager } from './lib/timeoutManager.js';
+
+const SHELL_MAJOR_VERSION = parseInt(Config.PACKAGE_VERSION.split('.')[0]);
+
+const NOTIFICATION_COLLECT_DELAY = 300; // ms to gather players paused together
+
+const DEFAULT_SUBTITLE = 'Auto-pause media';
+
+const SLEEP_TIMER_PRESETS = [15, 30, 60]; // minutes
+const SLEEP_TIMER_EXTEND = 15; // minutes
+const SLEEP_TIMER_TICK = 30; // seconds between subtitle updates
 
 /**
  * Quick Settings Toggle for Smart Pause/Resume
+ *
+ * The menu lists the known players, the resume stack, the sleep timer and
+ * the profiles. It is rebuilt lazily: only while open, or the next time it
+ * opens.
  */
 const SmartPauseResumeToggle = GObject.registerClass(
-    class SmartPauseResumeToggle extends QuickSettings.QuickToggle {
-        constructor(extensionObject) {
+    class SmartPauseResumeToggle extends QuickSettings.QuickMenuToggle {
+        constructor(extensionObject, engine) {
             const iconPath = extensionObject.dir.get_child('icons')
                 .get_child('smart-pause-resume-symbolic.svg');
             const gicon = Gio.FileIcon.new(iconPath);
 
             super({
                 title: 'Smart Pause',
-                subtitle: 'Auto-pause media',
+                subtitle: DEFAULT_SUBTITLE,
                 gicon: gicon,
                 toggleMode: true,
             });
 
+            this._engine = engine;
+            this._menuDirty = true;
+            this._sleepTimerTickId = 0;
+
             this._settings = extensionObject.getSettings();
+            this._profiles = new ProfileManager(this._settings);
             this._settings.bind(
                 'enabled',
                 this,
                 'checked',
                 Gio.SettingsBindFlags.DEFAULT
             );
+
+            this.menu.setHeader(gicon, 'Smart Pause', DEFAULT_SUBTITLE);
+
+            this._playersSection = new PopupMenu.PopupMenuSection();
+            this.menu.addMenuItem(this._playersSection);
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem('Resume Order'));
+            this._stackSection = new PopupMenu.PopupMenuSection();
+            this.menu.addMenuItem(this._stackSection);
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem('Sleep Timer'));
+            this._sleepTimerSection = new PopupMenu.PopupMenuSection();
+            this.menu.addMenuItem(this._sleepTimerSection);
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem('Profile'));
+            this._profilesSection = new PopupMenu.PopupMenuSection();
+            this.menu.addMenuItem(this._profilesSection);
+
+            this.menu.connect('open-state-changed', (menu, isOpen) => {
+                if (isOpen && this._menuDirty) this._rebuildMenu();
+            });
+
+            this._sleepTimerChangedIds = [
+                'changed::sleep-timer-end',
+                'changed::sleep-timer-custom',
+            ].map(signal => this._settings.connect(signal, () => this._syncSleepTimer()));
+            this._profilesChangedIds = [
+                'changed::profiles',
+                'changed::active-profile',
+            ].map(signal => this._settings.connect(signal, () => this.refresh()));
+
+            this._syncSleepTimer();
+        }
+
+        /**
+         * Update the subtitle and (if visible) the menu from the engine.
+         */
+        refresh() {
+            const foreground = this._engine.getForeground();
+            let subtitle = foreground
+                ? this._engine.getDisplayName(foreground)
+                : DEFAULT_SUBTITLE;
+            const sleepMinutes = this._getSleepTimerMinutes();
+            if (sleepMinutes) subtitle = `${subtitle} · Sleep in ${sleepMinutes} min`;
+            this.subtitle = subtitle;
+            this.menu.setHeader(this.gicon, 'Smart Pause', subtitle);
+
+            this._menuDirty = true;
+            if (this.menu.isOpen) this._rebuildMenu();
+        }
+
+        _rebuildMenu() {
+            this._menuDirty = false;
+            this._playersSection.removeAll();
+            this._stackSection.removeAll();
+
+            const players = this._engine.getPlayers();
+            const stack = this._engine.getStack();
+
+            if (players.length === 0) {
+                this._playersSection.addMenuItem(this._createInfoItem('No media players'));
+            }
+            for (const player of players) {
+                this._playersSection.addMenuItem(
+                    this._createPlayerItem(player, stack.includes(player.busName))
+                );
+            }
+
+            if (stack.length === 0) {
+                this._stackSection.addMenuItem(this._createInfoItem('Nothing to resume'));
+            }
+            // With groups, each stack is numbered on its own under its name.
+            for (const { group, stack: groupStack } of this._engine.getStacks()) {
+                if (group) this._stackSection.addMenuItem(this._createInfoItem(group));
+                groupStack.forEach((busName, index) => {
+                    this._stackSection.addMenuItem(
+                        this._createInfoItem(`${index + 1}. ${this._engine.getDisplayName(busName)}`)
+                    );
+                });
+            }
+
+            this._rebuildSleepTimerSection();
+            this._rebuildProfilesSection();
+        }
+
+        _rebuildProfilesSection() {
+            this._profilesSection.removeAll();
+
+            const names = this._profiles.getNames();
+            if (names.length === 0) {
+                this._profilesSection.addMenuItem(this._createInfoItem('No profiles'));
+            }
+            const active = this._profiles.getActive();
+            for (const name of names) {
+                const item = this._profilesSection.addAction(name,
+                    () => this._profiles.apply(name));
+                if (name === active) item.setOrnament(PopupMenu.Ornament.DOT);
+            }
+        }
+
+        _rebuildSleepTimerSection() {
+            this._sleepTimerSection.removeAll();
+
+            const sleepMinutes = this._getSleepTimerMinutes();
+            if (sleepMinutes) {
+                this._sleepTimerSection.addMenuItem(
+                    this._createInfoItem(`Pausing everything in ${sleepMinutes} min`)
+                );
+                this._sleepTimerSection.addAction(`Extend by ${SLEEP_TIMER_EXTEND} Minutes`,
+                    () => this._engine.extendSleepTimer(SLEEP_TIMER_EXTEND));
+                this._sleepTimerSection.addAction('Cancel',
+                    () => this._engine.cancelSleepTimer());
+                return;
+            }
+
+            const custom = this._settings.get_int('sleep-timer-custom');
+            const presets = SLEEP_TIMER_PRESETS.includes(custom)
+                ? SLEEP_TIMER_PRESETS
+                : [...SLEEP_TIMER_PRESETS, custom].sort((a, b) => a - b);
+            for (const minutes of presets) {
+                this._sleepTimerSection.addAction(`${minutes} Minutes`,
+                    () => this._engine.startSleepTimer(minutes));
+            }
+        }
+
+        /**
+         * Minutes left on the sleep timer, rounded up, or 0 if none runs.
+         */
+        _getSleepTimerMinutes() {
+            const end = this._engine.getSleepTimerEnd();
+            if (!end) return 0;
+            return Math.max(0, Math.ceil((end - Date.now()) / 60000));
+        }
+
+        /**
+         * Keep the remaining time in the subtitle current while a sleep
+         * timer runs.
+         */
+        _syncSleepTimer() {
+            const running = this._engine.getSleepTimerEnd() !== 0;
+            if (running && !this._sleepTimerTickId) {
+                this._sleepTimerTickId = GLib.timeout_add_seconds(
+                    GLib.PRIORITY_DEFAULT,
+                    SLEEP_TIMER_TICK,
+                    () => {
+                        this.refresh();
+                        return GLib.SOURCE_CONTINUE;
+                    }
+                );
+            } else if (!running && this._sleepTimerTickId) {
+                GLib.source_remove(this._sleepTimerTickId);
+                this._sleepTimerTickId = 0;
+            }
+            this.refresh();
+        }
+
+        _createInfoItem(text) {
+            return new PopupMenu.PopupMenuItem(text, {
+                reactive: false,
+                can_focus: false,
+            });
+        }
+
+        _createPlayerItem(player, inStack) {
+            const limits = [];
+            if (!player.canPause) limits.push('cannot pause');
+            if (!player.canResume) limits.push('cannot resume');
+            const label = [`${player.name} — ${player.status}`, player.group, ...limits]
+                .filter(part => part)
+                .join(' · ');
+            const item = new PopupMenu.PopupSubMenuMenuItem(label, true);
+            item.icon.gicon = this._getPlayerIcon(player);
+            if (player.foreground) {
+                item.setOrnament(PopupMenu.Ornament.DOT);
+            }
+
+            const playItem = item.menu.addAction('Play Now',
+                () => this._engine.playNow(player.busName));
+            playItem.setSensitive(player.canResume);
+
+            const removeItem = item.menu.addAction('Remove from Stack',
+                () => this._engine.removeFromStack(player.busName));
+            removeItem.setSensitive(inStack);
+
+            const exemptItem = item.menu.addAction('Exempt for This Session',
+                () => this._engine.exemptForSession(player.busName));
+            exemptItem.setSensitive(!player.exempt);
+
+            return item;
+        }
+
+        _getPlayerIcon(player) {
+            const app = player.desktopEntry
+                ? Shell.AppSystem.get_default().lookup_app(`${player.desktopEntry}.desktop`)
+                : null;
+            return app?.get_icon() ?? Gio.ThemedIcon.new('audio-x-generic-symbolic');
         }
 
         destroy() {
+            if (this._sleepTimerTickId) {
+                GLib.source_remove(this._sleepTimerTickId);
+                this._sleepTimerTickId = 0;
+            }
+            for (const id of [...this._sleepTimerChangedIds, ...this._profilesChangedIds]) {
+                this._settings.disconnect(id);
+            }
+            this._sleepTimerChangedIds = [];
+            this._profilesChangedIds = [];
+            this._profiles = null;
             this._settings = null;
+            this._engine = null;
             super.destroy();
         }
     }
@@ -48,9 +275,14 @@ const SmartPauseResumeToggle = GObject.registerClass(
  */
 const SmartPauseResumeIndicator = GObject.registerClass(
     class SmartPauseResumeIndicator extends QuickSettings.SystemIndicator {
-        constructor(extensionObject) {
+        constructor(extensionObject, engine) {
             super();
-            this.quickSettingsItems.push(new SmartPauseResumeToggle(extensionObject));
+            this._toggle = new SmartPauseResumeToggle(extensionObject, engine);
+            this.quickSettingsItems.push(this._toggle);
+        }
+
+        refresh() {
+            this._toggle.refresh();
         }
 
         destroy() {
@@ -61,469 +293,264 @@ const SmartPauseResumeIndicator = GObject.registerClass(
 );
 
 /**
- * Manages the LIFO stack of paused players for smart resume functionality.
+ * Posts the extension's notifications to the message tray, hiding the
+ * API differences between GNOME 45 and 46+.
  */
-class ResumeStack {
+class Notifier {
     constructor() {
-        this._stack = [];
+        this._source = null;
     }
 
-    push(busName) {
-        this._stack = this._stack.filter(name => name !== busName);
-        this._stack.unshift(busName);
-    }
+    _getSource() {
+        if (this._source) return this._source;
 
-    pop() {
-        return this._stack.shift();
+        const title = 'Smart Pause';
+        const iconName = 'media-playback-pause-symbolic';
+        this._source = SHELL_MAJOR_VERSION >= 46
+            ? new MessageTray.Source({ title, iconName })
+            : new MessageTray.Source(title, iconName);
+        this._source.connect('destroy', () => {
+            this._source = null;
+        });
+        Main.messageTray.add(this._source);
+        return this._source;
     }
 
-    remove(busName) {
-        this._stack = this._stack.filter(name => name !== busName);
-    }
+    /**
+     * Show a notification; `actions` is a list of [label, callback] pairs.
+     */
+    notify(title, body, actions = []) {
+        const source = this._getSource();
+        const notification = SHELL_MAJOR_VERSION >= 46
+            ? new MessageTray.Notification({ source, title, body })
+            : new MessageTray.Notification(source, title, body);
+
+        for (const [label, callback] of actions) {
+            notification.addAction(label, callback);
+        }
 
-    isEmpty() {
-        return this._stack.length === 0;
+        if (SHELL_MAJOR_VERSION >= 46) {
+            source.addNotification(notification);
+        } else {
+            source.showNotification(notification);
+        }
     }
 
-    clear() {
-        this._stack = [];
+    destroy() {
+        this._source?.destroy();
+        this._source = null;
     }
 }
 
 /**
- * Tracks GLib timeouts and ensures they are cleaned up on destroy.
+ * Watches Shell.AppSystem for the apps listed in the pause-for-apps setting,
+ * such as video call apps that are not MPRIS players themselves.
+ *
+ * Apps already running when the monitor starts are tracked, but do not
+ * count as launching.
  */
-class TimeoutManager {
-    constructor() {
-        this._timeouts = new Set();
-    }
-
-    add(delay, callback) {
-        const id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
-            this._timeouts.delete(id);
-            return callback();
-        });
-        this._timeouts.add(id);
-        return id;
-    }
-
-    clear() {
-        for (const id of this._timeouts) {
-            GLib.source_remove(id);
+class AppLaunchMonitor {
+    constructor(settings, callbacks) {
+        this._settings = settings;
+        this._callbacks = callbacks; // { onFirstStarted, onLastStopped }
+        this._appSystem = Shell.AppSystem.get_default();
+        this._appIds = new Set();
+        this._running = new Set();
+
+        this._load();
+        for (const app of this._appSystem.get_running()) {
+            if (this._appIds.has(app.get_id())) this._running.add(app.get_id());
         }
-        this._timeouts.clear();
-    }
-}
-
-/**
- * Manages MPRIS player discovery, proxies, and playback control.
- */
-class MprisPlayerManager {
-    constructor(callbacks) {
-        this._callbacks = callbacks; // { onStatusChanged }
-        this._players = new Map();   // busName → {proxy, signalId}
-        this._status = new Map();    // busName → 'Playing'|'Paused'|'Stopped'
-        this._autoPaused = new Set();
-        this._connection = null;
-        this._dbusProxy = null;
-        this._nameOwnerChangedId = null;
-        this._isActive = false;
-    }
-
-    /**
-     * Initialize DBus connections and start monitoring players.
-     */
-    initialize() {
-        console.log('[Smart Pause Resume] Initializing player manager...');
-        this._isActive = true;
-
-        Gio.bus_get(Gio.BusType.SESSION, null, (obj, res) => {
-            if (!this._isActive) return;
-            try {
-                this._connection = Gio.bus_get_finish(res);
-                this._subscribeToNameOwnerChanged();
-                this._createDbusProxy();
-            } catch (e) {
-                console.error('[Smart Pause Resume] Failed to get session bus', e);
-            }
-        });
-    }
 
-    _subscribeToNameOwnerChanged() {
-        this._nameOwnerChangedId = this._connection.signal_subscribe(
-            'org.freedesktop.DBus',
-            'org.freedesktop.DBus',
-            'NameOwnerChanged',
-            '/org/freedesktop/DBus',
-            null,
-            Gio.DBusSignalFlags.NONE,
-            this._onNameOwnerChanged.bind(this)
+        this._changedId = this._settings.connect(
+            'changed::pause-for-apps',
+            () => this._onAppsChanged()
         );
-    }
-
-    _createDbusProxy() {
-        Gio.DBusProxy.new_for_bus(
-            Gio.BusType.SESSION,
-            Gio.DBusProxyFlags.NONE,
-            null,
-            'org.freedesktop.DBus',
-            '/org/freedesktop/DBus',
-            'org.freedesktop.DBus',
-            null,
-            (proxyObj, proxyRes) => {
-                if (!this._isActive) return;
-                try {
-                    this._dbusProxy = Gio.DBusProxy.new_for_bus_finish(proxyRes);
-                    this._scanExistingPlayers();
-                } catch (e) {
-                    console.error('[Smart Pause Resume] Failed to create DBus proxy', e);
-                }
-            }
+        this._stateChangedId = this._appSystem.connect(
+            'app-state-changed',
+            (appSystem, app) => this._onAppStateChanged(app)
         );
     }
 
-    _scanExistingPlayers() {
-        if (!this._dbusProxy) return;
-
-        console.log('[Smart Pause Resume] Scanning for players...');
-        this._dbusProxy.call(
-            'ListNames',
-            null,
-            Gio.DBusCallFlags.NONE,
-            -1,
-            null,
-            (proxy, res) => {
-                if (!this._isActive) return;
-                try {
-                    const result = proxy.call_finish(res);
-                    const [names] = result.deepUnpack();
-                    for (let name of names) {
-                        if (name.startsWith(MPRIS_PREFIX)) {
-                            this._addPlayer(name);
-                        }
-                    }
-                } catch (e) {
-                    console.error('[Smart Pause Resume] ListNames failed', e);
-                }
-            }
-        );
+    _load() {
+        this._appIds = new Set(this._settings.get_strv('pause-for-apps'));
     }
 
-    _onNameOwnerChanged(connection, sender, path, iface, signalName, parameters) {
-        try {
-            const [name, oldOwner, newOwner] = parameters.deepUnpack();
-            if (!name.startsWith(MPRIS_PREFIX)) return;
+    _onAppsChanged() {
+        this._load();
 
-            if (newOwner !== oldOwner) {
-                if (oldOwner) this._removePlayer(name);
-                if (newOwner) this._addPlayer(name);
-            }
-        } catch (e) {
-            console.error('[Smart Pause Resume] Error in NameOwnerChanged', e);
+        const wasRunning = this._running.size > 0;
+        for (const appId of this._running) {
+            if (!this._appIds.has(appId)) this._running.delete(appId);
         }
-    }
-
-    _addPlayer(busName) {
-        if (this._players.has(busName)) return;
-
-        Gio.DBusProxy.new_for_bus(
-            Gio.BusType.SESSION,
-            Gio.DBusProxyFlags.NONE,
-            null,
-            busName,
-            MPRIS_PATH,
-            MPRIS_PLAYER_IFACE,
-            null,
-            (obj, res) => {
-                if (!this._isActive) return;
-                try {
-                    const proxy = Gio.DBusProxy.new_for_bus_finish(res);
-                    this._onPlayerProxyReady(busName, proxy);
-                } catch (e) {
-                    console.error(`[Smart Pause Resume] Failed to create proxy for ${busName}`, e);
-                }
-            }
-        );
-    }
-
-    _onPlayerProxyReady(busName, proxy) {
-        if (!this._isActive || !this._connection) return;
-
-        try {
-            const signalId = this._connection.signal_subscribe(
-                null,
-                'org.freedesktop.DBus.Properties',
-                'PropertiesChanged',
-                MPRIS_PATH,
-                null,
-                Gio.DBusSignalFlags.NONE,
-                (conn, sender, path, iface, signal, params) => {
-                    const currentOwner = proxy.get_name_owner();
-                    if (!currentOwner || sender !== currentOwner) return;
-
-                    const [interfaceName, changedProps] = params.deepUnpack();
-                    if (interfaceName === MPRIS_PLAYER_IFACE && changedProps['PlaybackStatus']) {
-                        const status = changedProps['PlaybackStatus'].deepUnpack();
-                        this._handleStatusChange(busName, status);
-                    }
-                }
-            );
-
-            this._players.set(busName, { proxy, signalId });
-            this._updatePlayerStatus(busName, proxy);
-        } catch (e) {
-            console.error(`[Smart Pause Resume] Error setting up player ${busName}`, e);
+        if (wasRunning && this._running.size === 0) {
+            this._callbacks.onLastStopped?.(null);
         }
     }
 
-    _updatePlayerStatus(busName, proxy) {
-        const status = this._getPlayerStatusCached(proxy);
-        if (status && status !== 'Stopped') {
-            this._handleStatusChange(busName, status);
-            return;
-        }
-
-        proxy.call(
-            'org.freedesktop.DBus.Properties.Get',
-            new GLib.Variant('(ss)', [MPRIS_PLAYER_IFACE, 'PlaybackStatus']),
-            Gio.DBusCallFlags.NONE,
-            -1,
-            null,
-            (obj, res) => {
-                if (!this._isActive) return;
-                try {
-                    const result = obj.call_finish(res);
-                    const [val] = result.deepUnpack();
-                    const status = val.recursiveUnpack();
-                    this._handleStatusChange(busName, status);
-                } catch (e) {
-                    this._status.set(busName, 'Stopped');
-                }
-            }
-        );
-    }
+    _onAppStateChanged(app) {
+        const appId = app.get_id();
+        if (!this._appIds.has(appId)) return;
 
-    _handleStatusChange(busName, status) {
-        const oldStatus = this._status.get(busName);
-        this._status.set(busName, status);
-        this._callbacks.onStatusChanged(busName, status, oldStatus, this._autoPaused.has(busName));
+        const running = app.get_state() !== Shell.AppState.STOPPED;
+        if (running === this._running.has(appId)) return;
 
-        if (this._autoPaused.has(busName) && (status === 'Paused' || status === 'Stopped')) {
-            this._autoPaused.delete(busName);
-        }
-    }
-
-    _removePlayer(busName) {
-        const playerObj = this._players.get(busName);
-        if (playerObj) {
-            if (playerObj.signalId && this._connection) {
-                this._connection.signal_unsubscribe(playerObj.signalId);
-            }
-            this._players.delete(busName);
-        }
-        this._status.delete(busName);
-        this._autoPaused.delete(busName);
-        this._callbacks.onPlayerRemoved?.(busName);
-    }
-
-    _getPlayerStatusCached(proxy) {
-        try {
-            const val = proxy.get_cached_property('PlaybackStatus');
-            return val ? val.deepUnpack() : 'Stopped';
-        } catch (e) {
-            return 'Stopped';
+        if (running) {
+            this._running.add(appId);
+            if (this._running.size === 1) this._callbacks.onFirstStarted?.(appId);
+        } else {
+            this._running.delete(appId);
+            if (this._running.size === 0) this._callbacks.onLastStopped?.(appId);
         }
     }
 
     /**
-     * Get cached status for a player by bus name.
+     * IDs of the watched apps currently running.
      */
-    getStatus(busName) {
-        return this._status.get(busName);
+    getRunning() {
+        return [...this._running];
     }
 
-    /**
-     * Get cached status using proxy.
-     */
-    getStatusCached(busName) {
-        const playerObj = this._players.get(busName);
-        if (!playerObj) return 'Stopped';
-        return this._getPlayerStatusCached(playerObj.proxy);
-    }
-
-    /**
-     * Check if any player is currently playing.
-     */
-    isAnyPlaying() {
-        for (let status of this._status.values()) {
-            if (status === 'Playing') return true;
+    destroy() {
+        if (this._changedId) {
+            this._settings.disconnect(this._changedId);
+            this._changedId = null;
         }
-        return false;
-    }
-
-    /**
-     * Check if player exists.
-     */
-    hasPlayer(busName) {
-        return this._players.has(busName);
+        if (this._stateChangedId) {
+            this._appSystem.disconnect(this._stateChangedId);
+            this._stateChangedId = null;
+        }
+        this._running.clear();
     }
+}
 
-    /**
-     * Pause a specific player.
-     */
-    pausePlayer(busName, onSuccess) {
-        const playerObj = this._players.get(busName);
-        if (!playerObj) return;
-
-        this._autoPaused.add(busName);
-        playerObj.proxy.call(
-            'Pause',
-            null,
-            Gio.DBusCallFlags.NONE,
-            -1,
-            null,
-            (obj, res) => {
-                if (!this._isActive) return;
-                try {
-                    obj.call_finish(res);
-                    this._status.set(busName, 'Paused');
-                    onSuccess?.();
-                } catch (e) {
-                    this._autoPaused.delete(busName);
-                }
-            }
+/**
+ * Reports the app whose window has keyboard focus, as a desktop app ID
+ * resolved through Shell.WindowTracker.
+ */
+class WindowFocusMonitor {
+    constructor(onFocusChanged) {
+        this._onFocusChanged = onFocusChanged;
+        this._windowTracker = Shell.WindowTracker.get_default();
+        this._focusWindowId = global.display.connect(
+            'notify::focus-window',
+            () => this._onFocusWindowChanged()
         );
     }
 
-    /**
-     * Pause all players except the specified one.
-     */
-    pauseOthers(currentBusName, onEachPaused) {
-        for (let [busName] of this._players) {
-            if (busName === currentBusName) continue;
-
-            const status = this._status.get(busName);
-            if (status === 'Playing') {
-                this.pausePlayer(busName, () => onEachPaused?.(busName));
-            }
-        }
+    _onFocusWindowChanged() {
+        this._onFocusChanged(this.getFocusedApp());
     }
 
     /**
-     * Resume a specific player.
+     * ID of the app whose window has focus, or null.
      */
-    playPlayer(busName, onSuccess, onError) {
-        const playerObj = this._players.get(busName);
-        if (!playerObj) {
-            onError?.();
-            return;
-        }
-
-        playerObj.proxy.call(
-            'Play',
-            null,
-            Gio.DBusCallFlags.NONE,
-            -1,
-            null,
-            (obj, res) => {
-                if (!this._isActive) return;
-                try {
-                    obj.call_finish(res);
-                    this._status.set(busName, 'Playing');
-                    this._autoPaused.delete(busName);
-                    onSuccess?.();
-                } catch (e) {
-                    onError?.();
-                }
-            }
-        );
+    getFocusedApp() {
+        const window = global.display.focus_window;
+        const app = window ? this._windowTracker.get_window_app(window) : null;
+        return app?.get_id() ?? null;
     }
 
-    /**
-     * Clean up all resources.
-     */
     destroy() {
-        console.log('[Smart Pause Resume] Destroying player manager...');
-        this._isActive = false;
-
-        if (this._nameOwnerChangedId && this._connection) {
-            this._connection.signal_unsubscribe(this._nameOwnerChangedId);
-            this._nameOwnerChangedId = null;
-        }
-
-        for (let busName of this._players.keys()) {
-            const playerObj = this._players.get(busName);
-            if (playerObj?.signalId && this._connection) {
-                this._connection.signal_unsubscribe(playerObj.signalId);
-            }
+        if (this._focusWindowId) {
+            global.display.disconnect(this._focusWindowId);
+            this._focusWindowId = null;
         }
-
-        this._connection = null;
-        this._dbusProxy = null;
-        this._players.clear();
-        this._status.clear();
-        this._autoPaused.clear();
     }
 }
 
 /**
- * Main Extension Class
- * 
- * Focused on lifecycle management (enable/disable) and coordinating
- * the player manager with the resume stack.
+ * GNOME Shell frontend for the engine in lib/: Quick Settings, keyboard
+ * shortcuts, notifications, the lock screen and app/window tracking.
  */
 export default class SmartPauseResumeExtension extends Extension {
     constructor(metadata) {
         super(metadata);
-        this._playerManager = null;
-        this._resumeStack = null;
-        this._timeoutManager = null;
+        this._engine = null;
         this._settings = null;
-        this._settingsChangedId = null;
         this._toggleVisibilityChangedId = null;
         this._indicator = null;
-        this._idleId = 0;
+        this._timeoutManager = null;
+        this._notifier = null;
+        this._pendingNotification = null;  // [{trigger, paused: [busName]}]
+        this._lastNotificationTime = 0;
+        this._unsupportedReported = new Set();
+        this._sessionModeUpdatedId = null;
+        this._appMonitor = null;
+        this._focusMonitor = null;
     }
 
     enable() {
         this._settings = this.getSettings();
+        this._timeoutManager = new TimeoutManager();
+        this._notifier = new Notifier();
+        this._engine = new SmartPauseResumeEngine(this._settings, {
+            onChanged: () => this._indicator?.refresh(),
+            onAutoPaused: (trigger, busName) => this._queueAutoPauseNotification(trigger, busName),
+            isResumeHeld: () => this._appMonitor?.getRunning().length > 0,
+            getFocusedApp: () => this._focusMonitor?.getFocusedApp() ?? null,
+            onUnsupported: (busName, action) => this._notifyUnsupported(busName, action),
+        });
+        this._engine.setLocked(Main.sessionMode.isLocked);
+
+        this._appMonitor = new AppLaunchMonitor(this._settings, {
+            onFirstStarted: appId => this._engine.pauseForApp(appId),
+            onLastStopped: appId => this._engine.resumeAfterApps(appId),
+        });
+        this._focusMonitor = new WindowFocusMonitor(appId => this._engine.focusApp(appId));
 
         this._syncIndicator();
 
+        this._sessionModeUpdatedId = Main.sessionMode.connect(
+            'updated',
+            () => this._onSessionModeUpdated()
+        );
+
+        this._addKeybindings();
+
         this._toggleVisibilityChangedId = this._settings.connect(
             'changed::show-quick-settings-toggle',
             () => this._syncIndicator()
         );
 
-        this._settingsChangedId = this._settings.connect('changed::enabled', () => {
-            if (this._settings.get_boolean('enabled')) {
-                this._activate();
-            } else {
-                this._deactivate();
-            }
-        });
-
-        if (this._settings.get_boolean('enabled')) {
-            this._idleId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
-                this._idleId = 0;
-                this._activate();
-                return GLib.SOURCE_REMOVE;
-            });
-        }
+        this._engine.start();
     }
 
+    /**
+     * The extension uses the `unlock-dialog` session mode, so it is not
+     * disabled when the screen locks: it keeps tracking players so it can
+     * pause them on lock (`pause-on-lock`) and resume them on unlock with
+     * their resume stack intact. Only the Quick Settings toggle is hidden
+     * while locked (see `_syncIndicator()`).
+     */
     disable() {
-        if (this._settingsChangedId && this._settings) {
-            this._settings.disconnect(this._settingsChangedId);
-            this._settingsChangedId = null;
-        }
-
         if (this._toggleVisibilityChangedId && this._settings) {
             this._settings.disconnect(this._toggleVisibilityChangedId);
             this._toggleVisibilityChangedId = null;
         }
 
-        this._deactivate();
+        if (this._sessionModeUpdatedId) {
+            Main.sessionMode.disconnect(this._sessionModeUpdatedId);
+            this._sessionModeUpdatedId = null;
+        }
+
+        this._removeKeybindings();
+
+        this._appMonitor?.destroy();
+        this._appMonitor = null;
+        this._focusMonitor?.destroy();
+        this._focusMonitor = null;
+
+        this._engine?.destroy();
+        this._engine = null;
+
+        this._timeoutManager?.clear();
+        this._timeoutManager = null;
+        this._pendingNotification = null;
+        this._unsupportedReported.clear();
+
+        this._notifier?.destroy();
+        this._notifier = null;
 
         if (this._indicator) {
             this._indicator.destroy();
@@ -533,11 +560,41 @@ export default class SmartPauseResumeExtension extends Extension {
         this._settings = null;
     }
 
+    _getKeybindings() {
+        return {
+            'pause-all-shortcut': () => this._engine.pauseAll(),
+            'resume-last-shortcut': () => this._engine.resumeLast(),
+            'swap-shortcut': () => this._engine.swap(),
+            'toggle-shortcut': () => this._engine.setEnabled(!this._settings.get_boolean('enabled')),
+        };
+    }
+
+    _addKeybindings() {
+        for (const [key, handler] of Object.entries(this._getKeybindings())) {
+            Main.wm.addKeybinding(
+                key,
+                this._settings,
+                Meta.KeyBindingFlags.NONE,
+                Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+                handler
+            );
+        }
+    }
+
+    _removeKeybindings() {
+        for (const key of Object.keys(this._getKeybindings())) {
+            Main.wm.removeKeybinding(key);
+        }
+    }
+
     _syncIndicator() {
-        const showToggle = this._settings.get_boolean('show-quick-settings-toggle');
+        // The extension keeps running on the lock screen, but its controls
+        // must not be reachable there.
+        const showToggle = this._settings.get_boolean('show-quick-settings-toggle') &&
+            !Main.sessionMode.isLocked;
 
         if (showToggle && !this._indicator) {
-            this._indicator = new SmartPauseResumeIndicator(this);
+            this._indicator = new SmartPauseResumeIndicator(this, this._engine);
             Main.panel.statusArea.quickSettings.addExternalIndicator(this._indicator);
         } else if (!showToggle && this._indicator) {
             this._indicator.destroy();
@@ -545,81 +602,80 @@ export default class SmartPauseResumeExtension extends Extension {
         }
     }
 
-    _activate() {
-        console.log('[Smart Pause Resume] Activating...');
-
-        this._resumeStack = new ResumeStack();
-        this._timeoutManager = new TimeoutManager();
-        this._playerManager = new MprisPlayerManager({
-            onStatusChanged: this._onStatusChanged.bind(this),
-            onPlayerRemoved: this._onPlayerRemoved.bind(this),
-        });
-
-        this._playerManager.initialize();
-    }
-
-    _deactivate() {
-        console.log('[Smart Pause Resume] Deactivating...');
-
-        if (this._idleId) {
-            GLib.source_remove(this._idleId);
-            this._idleId = 0;
-        }
-
-        this._timeoutManager?.clear();
-        this._timeoutManager = null;
-
-        this._playerManager?.destroy();
-        this._playerManager = null;
-
-        this._resumeStack?.clear();
-        this._resumeStack = null;
+    _onSessionModeUpdated() {
+        this._syncIndicator();
+        this._engine.setLocked(Main.sessionMode.isLocked);
     }
 
-    _onStatusChanged(busName, status, oldStatus, wasAutoPaused) {
-        if (!this._settings) return;
-
-        if (status === 'Playing') {
-            this._resumeStack.remove(busName);
-            this._playerManager.pauseOthers(busName, (pausedBusName) => {
-                this._resumeStack.push(pausedBusName);
-            });
-        } else if (status === 'Paused' || status === 'Stopped') {
-            if (wasAutoPaused) return;
-
-            const delay = this._settings.get_int('resume-delay');
-            this._timeoutManager.add(delay, () => {
-                if (this._playerManager?.hasPlayer(busName)) {
-                    const currentStatus = this._playerManager.getStatusCached(busName);
-                    if (currentStatus === 'Playing') return GLib.SOURCE_REMOVE;
-                }
-
-                this._resumeStack.remove(busName);
-                this._resumeNext();
+    /**
+     * Gather the players paused together, even by different triggers, then
+     * tell the user about them in a single notification.
+     */
+    _queueAutoPauseNotification(trigger, pausedBusName) {
+        if (!this._settings.get_boolean('notify-on-auto-pause')) return;
+
+        if (!this._pendingNotification) {
+            this._pendingNotification = [];
+            this._timeoutManager.add(NOTIFICATION_COLLECT_DELAY, () => {
+                const pending = this._pendingNotification;
+                this._pendingNotification = null;
+                if (pending) this._showAutoPauseNotification(pending);
                 return GLib.SOURCE_REMOVE;
             });
         }
-    }
 
-    _onPlayerRemoved(busName) {
-        this._resumeStack?.remove(busName);
-        this._resumeNext();
+        let pause = this._pendingNotification.find(p => p.trigger === trigger);
+        if (!pause) {
+            pause = { trigger, paused: [] };
+            this._pendingNotification.push(pause);
+        }
+        pause.paused.push(pausedBusName);
     }
 
-    _resumeNext() {
-        if (!this._playerManager || this._playerManager.isAnyPlaying()) return;
-        if (!this._resumeStack || this._resumeStack.isEmpty()) return;
-
-        const busName = this._resumeStack.pop();
-        if (!busName || !this._playerManager.hasPlayer(busName)) {
-            this._resumeNext();
-            return;
+    /**
+     * Tell the user, once per player and session, that a player could not
+     * be paused or resumed.
+     */
+    _notifyUnsupported(busName, action) {
+        const key = `${action}\n${busName}`;
+        if (this._unsupportedReported.has(key)) return;
+        this._unsupportedReported.add(key);
+
+        const name = this._engine.getDisplayName(busName);
+        if (action === 'pause') {
+            this._notifier.notify(`Cannot pause ${name}`,
+                'It does not let other apps pause it, so it keeps playing.');
+        } else {
+            this._notifier.notify(`Will not resume ${name}`,
+                'It does not let other apps play it, so it is left out of the resume order.');
         }
+    }
 
-        this._playerManager.playPlayer(
-            busName,
-            null,
-            () => this._resumeNext()
+    /**
+     * Show one notification for the pauses gathered, in the order their
+     * triggers started. Undo takes them back newest first.
+     */
+    _showAutoPauseNotification(pauses) {
+        const cooldown = this._settings.get_int('notification-cooldown') * 1000;
+        const now = Date.now();
+        if (now - this._lastNotificationTime < cooldown) return;
+        this._lastNotificationTime = now;
+
+        const engine = this._engine;
+        const paused = new Set(pauses.flatMap(p => p.paused));
+        const names = [...paused].map(busName => engine.getDisplayName(busName)).join(', ');
+        const triggers = pauses.map(p => engine.getDisplayName(p.trigger)).join(', ');
+        this._notifier.notify(
+            `Paused ${names}`,
+            `${triggers} started playing.`,
+            [
+                ['Undo', () => {
+                    for (const p of [...pauses].reverse()) engine.undoAutoPause(p.trigger, p.paused);
+                }],
+                ['Let Both Play', () => {
+                    for (const p of pauses) engine.letBothPlay(p.trigger, p.paused);
+                }],
+            ]
         );
     }
 }
@@ -0,0 +1,108 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+export const DBUS_NAME = 'org.gnome.shell.extensions.SmartPauseResume';
+export const DBUS_PATH = '/org/gnome/shell/extensions/SmartPauseResume';
+const DBUS_IFACE_XML = `
+<node>
+  <interface name="org.gnome.shell.extensions.SmartPauseResume">
+    <method name="PauseAll"/>
+    <method name="ResumeLast"/>
+    <method name="GetStack">
+      <arg type="as" direction="out" name="stack"/>
+    </method>
+    <method name="GetPlayers">
+      <arg type="aa{sv}" direction="out" name="players"/>
+    </method>
+    <method name="SetEnabled">
+      <arg type="b" direction="in" name="enabled"/>
+    </method>
+    <method name="GetEventLog">
+      <arg type="s" direction="out" name="json"/>
+    </method>
+    <signal name="StackChanged">
+      <arg type="as" name="stack"/>
+    </signal>
+    <signal name="ForegroundChanged">
+      <arg type="s" name="busName"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * Exports the public `org.gnome.shell.extensions.SmartPauseResume` D-Bus
+ * interface, so scripts and keybindings can drive the resume stack.
+ */
+export class SmartPauseResumeDBusService {
+    constructor(engine, onNameLost = null) {
+        this._engine = engine;
+        this._impl = Gio.DBusExportedObject.wrapJSObject(DBUS_IFACE_XML, this);
+        this._impl.export(Gio.DBus.session, DBUS_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(
+            Gio.DBus.session,
+            DBUS_NAME,
+            Gio.BusNameOwnerFlags.NONE,
+            null,
+            () => {
+                console.warn(`[Smart Pause Resume] Could not own ${DBUS_NAME}`);
+                onNameLost?.();
+            }
+        );
+    }
+
+    PauseAll() {
+        // Fail while turned off, so callers such as the pause-all script can
+        // fall back to pausing the players themselves.
+        if (!this._engine.pauseAll()) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.FAILED,
+                'Smart Pause Resume is turned off');
+        }
+    }
+
+    ResumeLast() {
+        this._engine.resumeLast();
+    }
+
+    GetStack() {
+        return this._engine.getStack();
+    }
+
+    GetPlayers() {
+        return this._engine.getPlayers().map(player => ({
+            BusName: new GLib.Variant('s', player.busName),
+            Identity: new GLib.Variant('s', player.identity ?? ''),
+            DesktopEntry: new GLib.Variant('s', player.desktopEntry ?? ''),
+            Status: new GLib.Variant('s', player.status),
+            Foreground: new GLib.Variant('b', player.foreground),
+            CanPause: new GLib.Variant('b', player.canPause),
+            CanResume: new GLib.Variant('b', player.canResume),
+            Group: new GLib.Variant('s', player.group),
+        }));
+    }
+
+    SetEnabled(enabled) {
+        this._engine.setEnabled(enabled);
+    }
+
+    GetEventLog() {
+        return JSON.stringify(this._engine.getEventLog());
+    }
+
+    emitStackChanged(stack) {
+        this._impl.emit_signal('StackChanged', new GLib.Variant('(as)', [stack]));
+    }
+
+    emitForegroundChanged(busName) {
+        this._impl.emit_signal('ForegroundChanged', new GLib.Variant('(s)', [busName ?? '']));
+    }
+
+    destroy() {
+        if (this._nameId) {
+            Gio.bus_unown_name(this._nameId);
+            this._nameId = 0;
+        }
+        this._impl.unexport();
+        this._impl = null;
+        this._engine = null;
+    }
+}
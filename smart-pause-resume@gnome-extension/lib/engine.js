@@ -0,0 +1,1213 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { SmartPauseResumeDBusService } from './dbusService.js';
+import { EventLog } from './eventLog.js';
+import { LogindSleepMonitor } from './logind.js';
+import { MprisPlayerManager, classifyMedia, shortBusName } from './mpris.js';
+import { PlayerHistory } from './playerHistory.js';
+import { PlayerRules } from './playerRules.js';
+import { RESUME_POLICIES, ResumeStack } from './resumeStack.js';
+import { StateStore } from './stateStore.js';
+import { TimeoutManager } from './timeoutManager.js';
+
+const STATE_SAVE_DELAY = 500; // ms
+const STARTUP_SETTLE_TIMEOUT = 2000; // ms to wait for the initial status of every player
+
+/**
+ * The auto-pause/resume engine: decides which players to pause and resume,
+ * and owns the resume stack and the D-Bus interface.
+ *
+ * It only depends on GLib and Gio, so it runs both inside GNOME Shell and
+ * in the standalone daemon. The frontend passes `hooks`:
+ * - `onChanged()`: players, the stack or the foreground player changed
+ * - `onAutoPaused(trigger, busName)`: `trigger` auto-paused `busName`
+ * - `isResumeHeld()`: whether auto-resume is currently held back
+ * - `getFocusedApp()`: ID of the app whose window has focus, or null
+ * - `onUnsupported(busName, action)`: the player cannot 'pause' or 'resume'
+ * - `onNameLost()`: the D-Bus name is owned by someone else
+ */
+export class SmartPauseResumeEngine {
+    constructor(settings, hooks = {}) {
+        this._settings = settings;
+        this._hooks = hooks;
+        this._playerManager = null;
+        this._resumeStacks = null; // exclusivity group → ResumeStack
+        this._timeoutManager = null;
+        this._rules = null;
+        this._playerHistory = null;
+        this._stateStore = null;
+        this._savedState = null;
+        this._stateRestored = false;
+        this._saveStateId = 0;
+        this._settingsChangedId = null;
+        this._pauseModeChangedIds = [];
+        this._resumePolicyChangedIds = [];
+        this._expiryId = 0;
+        this._sleepTimerChangedId = null;
+        this._sleepTimerId = 0;
+        this._groupsChangedId = null;
+        this._dbusService = null;
+        this._eventLog = null;
+        this._foreground = null;
+        this._pendingTriggers = new Map(); // busName → grace period timeout
+        this._sessionExempt = new Set();
+        this._sessionExemptPairs = new Set();
+        this._sleepMonitor = null;
+        this._focusTimeoutId = 0;
+        this._startupPending = null; // players found at startup yet to report
+        this._startupPlaying = [];
+        this._startupTimeoutId = 0;
+        this._isLocked = false;
+        this._isSleeping = false;
+        this._interruptedForeground = null;
+        this._idleId = 0;
+    }
+
+    /**
+     * Export the D-Bus interface and follow the `enabled` setting.
+     */
+    start() {
+        this._eventLog = new EventLog();
+        this._dbusService = new SmartPauseResumeDBusService(this, this._hooks.onNameLost);
+
+        this._settingsChangedId = this._settings.connect('changed::enabled', () => {
+            if (this._settings.get_boolean('enabled')) {
+                this._activate();
+            } else {
+                this._deactivate();
+            }
+        });
+
+        if (this._settings.get_boolean('enabled')) {
+            this._idleId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
+                this._idleId = 0;
+                this._activate();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
+    /**
+     * Stop and unexport everything; `onSaved` is called once the resume
+     * state is written, for callers that are about to exit.
+     */
+    destroy(onSaved = null) {
+        if (this._settingsChangedId) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
+
+        this._deactivate(onSaved);
+
+        this._dbusService?.destroy();
+        this._dbusService = null;
+        this._sessionExempt.clear();
+        this._sessionExemptPairs.clear();
+        this._eventLog = null;
+        this._hooks = {};
+    }
+
+    /**
+     * Whether players are being watched (the `enabled` setting is on).
+     */
+    isActive() {
+        return this._playerManager !== null;
+    }
+
+    _activate() {
+        console.log('[Smart Pause Resume] Activating...');
+        this._eventLog.add('activate', null);
+
+        this._resumeStacks = new Map();
+        this._timeoutManager = new TimeoutManager();
+        this._rules = new PlayerRules(this._settings, busName => [
+            this._playerManager?.getIdentity(busName),
+            this._playerManager?.getDesktopEntry(busName),
+        ]);
+        this._playerHistory = new PlayerHistory(this._settings);
+        this._stateStore = new StateStore();
+        this._sleepMonitor = new LogindSleepMonitor(this._getLogindConnection(), {
+            onSleep: () => this._onSleep(),
+            onWake: () => this._onWake(),
+        });
+        this._playerManager = new MprisPlayerManager({
+            onStatusChanged: this._onStatusChanged.bind(this),
+            onPlayerRemoved: this._onPlayerRemoved.bind(this),
+            onPlayersScanned: this._onPlayersScanned.bind(this),
+            onPlayerIdentified: busName => this._onPlayerIdentified(busName),
+            onPlayerInfoChanged: () => this._hooks.onChanged?.(),
+            onUnsupported: (busName, action) =>
+                this._reportUnsupported(busName, action === 'play' ? 'resume' : action),
+        }, this._eventLog);
+
+        this._syncPauseMode();
+        this._pauseModeChangedIds = [
+            'changed::pause-mode',
+            'changed::duck-volume',
+            'changed::fade-out-duration',
+            'changed::fade-in-duration',
+            'changed::pause-fallback',
+        ].map(signal => this._settings.connect(signal, () => this._syncPauseMode()));
+        this._resumePolicyChangedIds = [
+            'changed::resume-policy',
+            'changed::resume-max-age',
+        ].map(signal => this._settings.connect(signal, () => this._scheduleExpiry()));
+        this._groupsChangedId = this._settings.connect(
+            'changed::player-groups',
+            () => this._regroupStacks()
+        );
+
+        // A sleep timer that ran out while inactive is stale.
+        const sleepTimerEnd = this._settings.get_int64('sleep-timer-end');
+        if (sleepTimerEnd && sleepTimerEnd <= Date.now()) {
+            this._settings.set_int64('sleep-timer-end', 0);
+        }
+        this._sleepTimerChangedId = this._settings.connect(
+            'changed::sleep-timer-end',
+            () => this._scheduleSleepTimer()
+        );
+
+        // Players are only scanned once the saved state is known, so it can
+        // be restored before their initial status comes in.
+        const playerManager = this._playerManager;
+        this._stateStore.load(state => {
+            if (this._playerManager !== playerManager) return;
+            this._savedState = state;
+            playerManager.initialize();
+            this._scheduleSleepTimer();
+        });
+    }
+
+    _syncPauseMode() {
+        const duck = this._settings.get_string('pause-mode') === 'duck';
+        this._playerManager.setDuckVolume(
+            duck ? this._settings.get_int('duck-volume') / 100 : null
+        );
+        this._playerManager.setFadeDurations(
+            this._settings.get_int('fade-out-duration'),
+            this._settings.get_int('fade-in-duration')
+        );
+        this._playerManager.setPauseFallback(this._settings.get_string('pause-fallback'));
+    }
+
+    _deactivate(onSaved = null) {
+        console.log('[Smart Pause Resume] Deactivating...');
+        this._eventLog?.add('deactivate', null);
+
+        if (this._idleId) {
+            GLib.source_remove(this._idleId);
+            this._idleId = 0;
+        }
+
+        for (const id of this._pauseModeChangedIds) {
+            this._settings.disconnect(id);
+        }
+        this._pauseModeChangedIds = [];
+        for (const id of this._resumePolicyChangedIds) {
+            this._settings.disconnect(id);
+        }
+        this._resumePolicyChangedIds = [];
+        if (this._sleepTimerChangedId) {
+            this._settings.disconnect(this._sleepTimerChangedId);
+            this._sleepTimerChangedId = null;
+        }
+        if (this._groupsChangedId) {
+            this._settings.disconnect(this._groupsChangedId);
+            this._groupsChangedId = null;
+        }
+
+        // Save before tearing down, so clearing the stack is not recorded.
+        if (this._playerManager) {
+            this._saveState(onSaved);
+        } else {
+            onSaved?.();
+        }
+        this._stateStore = null;
+        this._savedState = null;
+        this._stateRestored = false;
+        this._saveStateId = 0;
+
+        this._sleepMonitor?.destroy();
+        this._sleepMonitor = null;
+        this._isSleeping = false;
+        this._interruptedForeground = null;
+
+        this._focusTimeoutId = 0;
+        this._startupPending = null;
+        this._startupPlaying = [];
+        this._startupTimeoutId = 0;
+
+        this._timeoutManager?.clear();
+        this._timeoutManager = null;
+        this._expiryId = 0;
+        this._sleepTimerId = 0;
+        this._pendingTriggers.clear();
+
+        this._playerManager?.destroy();
+        this._playerManager = null;
+
+        this._clearStacks();
+        this._resumeStacks = null;
+        this._setForeground(null);
+
+        this._rules?.destroy();
+        this._rules = null;
+        this._playerHistory = null;
+
+        this._hooks.onChanged?.();
+    }
+
+    /**
+     * Pause every playing player through the auto-pause path, so they all
+     * land on their group's resume stack with the foreground player on top.
+     * Returns false, pausing nothing, while the engine is inactive.
+     * `fadeDuration` (ms) overrides the configured fade-out duration.
+     */
+    pauseAll(fadeDuration) {
+        if (!this._playerManager) return false;
+
+        const playing = this._playerManager.getPlayers().filter(busName =>
+            this._playerManager.getStatus(busName) === 'Playing' &&
+            !this._isExemptFromPause(busName));
+        playing.sort((a, b) => (a === this._foreground) - (b === this._foreground));
+
+        for (const busName of playing) {
+            if (this._isResumable(busName)) {
+                this._getResumeStack(this._getGroup(busName)).push(busName);
+            }
+            this._playerManager.pausePlayer(busName, null, true, fadeDuration);
+        }
+        return true;
+    }
+
+    /**
+     * Resume the top of the stack, even if another player is playing. With
+     * several groups, the stack whose top was paused last is used.
+     */
+    resumeLast() {
+        if (!this._playerManager) return;
+
+        const stack = this._getLatestStack();
+        if (stack) this._resumeTop(stack, () => this.resumeLast());
+    }
+
+    /**
+     * Pause the foreground player and play the one on top of its group's
+     * stack; the foreground player then takes its place on top.
+     */
+    swap() {
+        if (!this._playerManager) return;
+
+        const foreground = this._foreground;
+        const stack = foreground
+            ? this._getResumeStack(this._getGroup(foreground))
+            : this._getLatestStack();
+        if (!stack || stack.isEmpty()) return;
+
+        const resume = () => this._resumeTop(stack, resume);
+        resume();
+        if (foreground && this._playerManager.getStatus(foreground) === 'Playing') {
+            if (this._isResumable(foreground)) stack.push(foreground);
+            this._playerManager.pausePlayer(foreground);
+        }
+    }
+
+    /**
+     * Bus names on the resume stacks, top first; the default group comes
+     * first, then the configured groups in order.
+     */
+    getStack() {
+        return this.getStacks().flatMap(({ stack }) => stack);
+    }
+
+    /**
+     * The non-empty resume stacks as `{group, stack}`, with `stack` top
+     * first and `group` '' for players not assigned to any group.
+     */
+    getStacks() {
+        if (!this._resumeStacks) return [];
+
+        const order = ['', ...this._rules.getGroups()];
+        return [...this._resumeStacks]
+            .filter(([, stack]) => !stack.isEmpty())
+            .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+            .map(([group, stack]) => ({ group, stack: stack.toArray() }));
+    }
+
+    /**
+     * Known players with their status.
+     */
+    getPlayers() {
+        if (!this._playerManager) return [];
+
+        return this._playerManager.getPlayers().map(busName => ({
+            busName,
+            name: this._playerManager.getDisplayName(busName),
+            identity: this._playerManager.getIdentity(busName),
+            desktopEntry: this._playerManager.getDesktopEntry(busName),
+            status: this._playerManager.getStatus(busName) ?? 'Stopped',
+            foreground: busName === this._foreground,
+            exempt: this._isExemptFromPause(busName),
+            canPause: this._playerManager.getPauseMethod(busName) === 'pause',
+            canResume: this._playerManager.canResume(busName),
+            group: this._getGroup(busName),
+        }));
+    }
+
+    /**
+     * A human-readable name for the player, such as "Firefox".
+     */
+    getDisplayName(busName) {
+        return this._playerManager?.getDisplayName(busName) ?? shortBusName(busName);
+    }
+
+    /**
+     * Bus name of the player currently playing in the foreground, or null.
+     */
+    getForeground() {
+        return this._foreground;
+    }
+
+    /**
+     * Recent player events and decisions, oldest first.
+     */
+    getEventLog() {
+        return this._eventLog?.entries() ?? [];
+    }
+
+    setEnabled(enabled) {
+        this._settings?.set_boolean('enabled', enabled);
+    }
+
+    /**
+     * Play a player right away; it then pauses the others as usual.
+     */
+    playNow(busName) {
+        this._playerManager?.playPlayer(busName);
+    }
+
+    removeFromStack(busName) {
+        this._removeFromStacks(busName);
+    }
+
+    /**
+     * Exclusivity group of the player: players only pause others in the
+     * same group. '' is the default group of players not assigned to any.
+     */
+    _getGroup(busName) {
+        return this._rules?.getGroup(busName) ?? '';
+    }
+
+    _getResumeStack(group) {
+        let stack = this._resumeStacks.get(group);
+        if (!stack) {
+            stack = new ResumeStack(
+                (action, busName) => this._onStackChanged(group, action, busName)
+            );
+            this._resumeStacks.set(group, stack);
+        }
+        return stack;
+    }
+
+    /**
+     * The stack whose top entry was paused most recently, or null.
+     */
+    _getLatestStack() {
+        let latest = null;
+        let latestPausedAt = -Infinity;
+        for (const stack of this._resumeStacks?.values() ?? []) {
+            const [top] = stack.entries();
+            if (top && top.pausedAt > latestPausedAt) {
+                latest = stack;
+                latestPausedAt = top.pausedAt;
+            }
+        }
+        return latest;
+    }
+
+    _removeFromStacks(busName) {
+        for (const stack of this._resumeStacks?.values() ?? []) {
+            stack.remove(busName);
+        }
+    }
+
+    _clearStacks() {
+        for (const stack of this._resumeStacks?.values() ?? []) {
+            stack.clear();
+        }
+    }
+
+    /**
+     * Entries of every stack, each with its `group`, most recent first.
+     */
+    _getStackEntries() {
+        return [...this._resumeStacks?.entries() ?? []]
+            .flatMap(([group, stack]) => stack.entries().map(entry => ({ ...entry, group })))
+            .sort((a, b) => b.pausedAt - a.pausedAt);
+    }
+
+    /**
+     * Move stack entries to the stack of their player's current group after
+     * the groups were edited.
+     */
+    _regroupStacks() {
+        if (!this._resumeStacks) return;
+
+        const entries = this._getStackEntries();
+        const moved = entries.filter(entry => this._getGroup(entry.busName) !== entry.group);
+        if (moved.length === 0) return;
+
+        for (const entry of moved) {
+            this._resumeStacks.get(entry.group).remove(entry.busName);
+        }
+        this._restoreEntries(moved);
+    }
+
+    /**
+     * Add `{busName, pausedAt}` entries below the current ones of the stack
+     * of each player's group, keeping their order.
+     */
+    _restoreEntries(entries) {
+        const byGroup = new Map();
+        for (const entry of entries) {
+            const group = this._getGroup(entry.busName);
+            if (!byGroup.has(group)) byGroup.set(group, []);
+            byGroup.get(group).push({ busName: entry.busName, pausedAt: entry.pausedAt });
+        }
+        for (const [group, groupEntries] of byGroup) {
+            this._getResumeStack(group).restore(groupEntries);
+        }
+    }
+
+    _isInGroup(busName, group) {
+        return this._getGroup(busName) === group;
+    }
+
+    /**
+     * Never auto-pause this player again until the extension is disabled.
+     */
+    exemptForSession(busName) {
+        this._sessionExempt.add(busName);
+        this._hooks.onChanged?.();
+    }
+
+    /**
+     * Whether a player about to be paused belongs on the resume stack: it
+     * is paused or stopped rather than muted, can be played again and no
+     * rule forbids it. Players that cannot be played are reported.
+     */
+    _isResumable(busName) {
+        const method = this._playerManager.getPauseMethod(busName);
+        if (method !== 'pause' && method !== 'stop') return false;
+        if (this._rules.neverResumes(busName)) return false;
+
+        if (!this._playerManager.canResume(busName)) {
+            this._reportUnsupported(busName, 'resume');
+            return false;
+        }
+        return true;
+    }
+
+    _reportUnsupported(busName, action) {
+        this._logDecision(busName, `unsupported: cannot ${action}`);
+        this._hooks.onUnsupported?.(busName, action);
+        this._hooks.onChanged?.();
+    }
+
+    _isExemptFromPause(busName) {
+        return this._sessionExempt.has(busName) ||
+            this._rules.isExemptFromPause(busName);
+    }
+
+    _getLogindConnection() {
+        // Lets logind be replaced by a stand-in on the session bus for testing.
+        return GLib.getenv('SMART_PAUSE_RESUME_LOGIND_BUS') === 'session'
+            ? Gio.DBus.session
+            : Gio.DBus.system;
+    }
+
+    /**
+     * Tell the engine whether the screen is locked, to pause for the lock
+     * and resume after unlocking as configured.
+     */
+    setLocked(isLocked) {
+        if (isLocked === this._isLocked) return;
+
+        this._isLocked = isLocked;
+        if (isLocked) {
+            if (this._settings.get_boolean('pause-on-lock')) this._interrupt();
+        } else {
+            this._resumeInterrupted();
+        }
+    }
+
+    _onSleep() {
+        this._isSleeping = true;
+        // logind only waits briefly, so pause at once instead of fading out
+        // and letting the machine suspend halfway through the fade.
+        if (this._settings.get_boolean('pause-on-suspend')) this._interrupt(0);
+    }
+
+    _onWake() {
+        this._isSleeping = false;
+        // A sleep timer that ran out during suspend clears the stack first.
+        this._scheduleSleepTimer();
+        this._resumeInterrupted();
+    }
+
+    /**
+     * Pause everything for a lock or suspend, remembering the foreground
+     * player so it can be brought back afterwards.
+     */
+    _interrupt(fadeDuration) {
+        if (!this._playerManager) return;
+
+        if (this._foreground && !this._interruptedForeground) {
+            this._interruptedForeground = this._foreground;
+        }
+        this.pauseAll(fadeDuration);
+    }
+
+    /**
+     * Resume the player interrupted by a lock or suspend, once the screen is
+     * unlocked and the system awake, if it is still on top of the stack.
+     */
+    _resumeInterrupted() {
+        if (this._isLocked || this._isSleeping) return;
+
+        const busName = this._interruptedForeground;
+        this._interruptedForeground = null;
+        if (!busName || !this._playerManager) return;
+        if (!this._settings.get_boolean('resume-after-unlock')) return;
+        if (this._playerManager.isAnyPlaying()) return;
+        const stack = this._getResumeStack(this._getGroup(busName));
+        if (stack.toArray()[0] !== busName) return;
+
+        const resume = () => this._resumeTop(stack, resume);
+        resume();
+    }
+
+    /**
+     * Pause everything because an app such as a video call app started;
+     * nothing is auto-resumed while `hooks.isResumeHeld()` returns true.
+     */
+    pauseForApp(appId) {
+        this._logDecision(null, `pause all: ${appId} started`);
+        this.pauseAll();
+    }
+
+    /**
+     * Resume as usual once the apps that paused everything have closed.
+     */
+    resumeAfterApps(appId) {
+        this._logDecision(null, `resume: ${appId ?? 'watched apps'} stopped`);
+        for (const group of [...this._resumeStacks?.keys() ?? []]) {
+            this._resumeNext(group);
+        }
+    }
+
+    /**
+     * Start the sleep timer, replacing one that is already running.
+     */
+    startSleepTimer(minutes) {
+        this._settings.set_int64('sleep-timer-end', Date.now() + minutes * 60 * 1000);
+    }
+
+    /**
+     * Add `minutes` to the running sleep timer, or start one.
+     */
+    extendSleepTimer(minutes) {
+        const end = Math.max(this.getSleepTimerEnd(), Date.now());
+        this._settings.set_int64('sleep-timer-end', end + minutes * 60 * 1000);
+    }
+
+    cancelSleepTimer() {
+        this._settings.set_int64('sleep-timer-end', 0);
+    }
+
+    /**
+     * When the sleep timer expires (ms since the epoch), or 0 if none runs.
+     */
+    getSleepTimerEnd() {
+        return this._settings.get_int64('sleep-timer-end');
+    }
+
+    _scheduleSleepTimer() {
+        if (!this._timeoutManager) return;
+
+        if (this._sleepTimerId) {
+            this._timeoutManager.remove(this._sleepTimerId);
+            this._sleepTimerId = 0;
+        }
+        const end = this.getSleepTimerEnd();
+        if (!end) return;
+
+        const delay = end - Date.now();
+        if (delay <= 0) {
+            this.cancelSleepTimer();
+            this._sleepTimerExpired();
+            return;
+        }
+        // Re-checked against the wall clock when it fires, since timeouts
+        // do not count time spent in suspend.
+        this._sleepTimerId = this._timeoutManager.add(delay, () => {
+            this._sleepTimerId = 0;
+            this._scheduleSleepTimer();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Fade out and pause everything that is playing, then put the volumes
+     * back. The stack is cleared so nothing resumes afterwards.
+     */
+    _sleepTimerExpired() {
+        if (!this._playerManager) return;
+
+        console.log('[Smart Pause Resume] Sleep timer expired');
+        this._logDecision(null, 'pause all: sleep timer');
+        this._clearStacks();
+        this._interruptedForeground = null;
+
+        const fadeDuration = this._settings.get_int('sleep-timer-fade-duration') * 1000;
+        for (const busName of this._playerManager.getPlayers()) {
+            if (this._playerManager.getStatus(busName) !== 'Playing') continue;
+
+            this._playerManager.pausePlayer(busName, muted => {
+                // A player that could only be muted stays muted.
+                if (!muted) this._playerManager?.restoreVolume(busName, 0);
+                this._clearStacks();
+            }, true, fadeDuration);
+        }
+    }
+
+    /**
+     * Focus-follows-playback: once an opted-in app has kept focus for the
+     * debounce delay, play its paused player so it becomes the foreground
+     * one and the others are auto-paused as usual.
+     */
+    focusApp(appId) {
+        if (!this._timeoutManager) return;
+
+        if (this._focusTimeoutId) {
+            this._timeoutManager.remove(this._focusTimeoutId);
+            this._focusTimeoutId = 0;
+        }
+        if (!appId || this._isLocked) return;
+        if (!this._settings.get_boolean('focus-follows-playback')) return;
+        if (!this._settings.get_strv('focus-follows-playback-apps').includes(appId)) return;
+
+        const delay = this._settings.get_int('focus-follows-playback-delay');
+        this._focusTimeoutId = this._timeoutManager.add(delay, () => {
+            this._focusTimeoutId = 0;
+            this._playFocusedApp(appId);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _playFocusedApp(appId) {
+        if (!this._playerManager) return;
+
+        const players = this._playerManager.getPlayers().filter(busName =>
+            `${this._playerManager.getDesktopEntry(busName)}.desktop` === appId);
+        if (players.some(busName => this._playerManager.getStatus(busName) === 'Playing')) return;
+
+        // Several players can share a desktop entry (browser tabs, mpv
+        // windows); the one paused most recently wins.
+        const stack = this.getStack();
+        const paused = players
+            .filter(busName => this._playerManager.getStatus(busName) === 'Paused')
+            .sort((a, b) => {
+                const rankA = stack.includes(a) ? stack.indexOf(a) : stack.length;
+                const rankB = stack.includes(b) ? stack.indexOf(b) : stack.length;
+                return rankA - rankB;
+            });
+        if (paused.length === 0) return;
+
+        this._logDecision(paused[0], `play: ${appId} focused`);
+        this.playNow(paused[0]);
+    }
+
+    _onStackChanged(group, action, busName) {
+        this._eventLog?.add('stack', busName, { action, group, stack: this.getStack() });
+        this._dbusService?.emitStackChanged(this.getStack());
+        this._hooks.onChanged?.();
+        this._scheduleSaveState();
+        this._scheduleExpiry();
+    }
+
+    /**
+     * With the "recent" resume policy, drop the oldest stack entry once it
+     * is too old to be resumed.
+     */
+    _scheduleExpiry() {
+        if (!this._timeoutManager) return;
+
+        if (this._expiryId) {
+            this._timeoutManager.remove(this._expiryId);
+            this._expiryId = 0;
+        }
+        if (this._settings.get_string('resume-policy') !== 'recent') return;
+
+        const pausedAt = this._getStackEntries().map(entry => entry.pausedAt);
+        if (pausedAt.length === 0) return;
+
+        const maxAge = this._settings.get_int('resume-max-age') * 60 * 1000;
+        const delay = Math.max(0, Math.min(...pausedAt) + maxAge - Date.now());
+        this._expiryId = this._timeoutManager.add(delay, () => {
+            this._expiryId = 0;
+            for (const stack of this._resumeStacks.values()) {
+                stack.expire(maxAge);
+            }
+            this._scheduleExpiry();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _scheduleSaveState() {
+        if (!this._stateStore || !this._timeoutManager || this._saveStateId) return;
+
+        this._saveStateId = this._timeoutManager.add(STATE_SAVE_DELAY, () => {
+            this._saveStateId = 0;
+            this._saveState();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _saveState(callback = null) {
+        // Until the previous state is restored, saving would overwrite it.
+        if (!this._stateStore || !this._resumeStacks || !this._playerManager ||
+            !this._stateRestored) {
+            callback?.();
+            return;
+        }
+
+        this._stateStore.save({
+            version: 1,
+            savedAt: Date.now(),
+            stack: this._getStackEntries().map(({ busName, pausedAt }) => ({ busName, pausedAt })),
+            autoPaused: this._playerManager.getAutoPaused(),
+        }, callback);
+    }
+
+    _onPlayersScanned(busNames) {
+        this._restoreState(busNames);
+        this._beginStartup(busNames);
+    }
+
+    /**
+     * Hold back the players found at startup that are already playing until
+     * every one of them has reported, so they are arbitrated together instead
+     * of in D-Bus callback order.
+     */
+    _beginStartup(busNames) {
+        if (busNames.length === 0) return;
+
+        this._startupPending = new Set(busNames);
+        this._startupPlaying = [];
+        this._startupTimeoutId = this._timeoutManager.add(STARTUP_SETTLE_TIMEOUT, () => {
+            this._startupTimeoutId = 0;
+            this._endStartup();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _endStartup() {
+        if (!this._startupPending) return;
+
+        if (this._startupTimeoutId) {
+            this._timeoutManager.remove(this._startupTimeoutId);
+            this._startupTimeoutId = 0;
+        }
+        const playing = this._startupPlaying.filter(busName =>
+            this._playerManager.getStatus(busName) === 'Playing');
+        this._startupPending = null;
+        this._startupPlaying = [];
+        this._arbitrateStartup(playing);
+    }
+
+    /**
+     * Apply the startup-policy setting to the players found playing at
+     * startup: within each group, all but the preferred one are paused and
+     * pushed onto the stack, least preferred first, so the next preferred
+     * ends up on top.
+     */
+    _arbitrateStartup(playing) {
+        if (playing.length === 0) return;
+
+        const policy = this._settings.get_string('startup-policy');
+        if (policy === 'ignore') {
+            this._logDecision(null, `startup: ${playing.length} playing, left alone`);
+            return;
+        }
+
+        const focusedApp = policy === 'focused' ? this._hooks.getFocusedApp?.() : null;
+        const rank = busName => [
+            `${this._playerManager.getDesktopEntry(busName)}.desktop` === focusedApp ? 0 : 1,
+            policy === 'pause-all' ? 0 : this._rules.getPriority(busName),
+        ];
+        const compare = (a, b) => {
+            const [focusedA, priorityA] = rank(a);
+            const [focusedB, priorityB] = rank(b);
+            return focusedA - focusedB || priorityA - priorityB || a.localeCompare(b);
+        };
+
+        const byGroup = new Map();
+        for (const busName of playing) {
+            if (this._isExemptFromPause(busName)) continue;
+            const group = this._getGroup(busName);
+            if (!byGroup.has(group)) byGroup.set(group, []);
+            byGroup.get(group).push(busName);
+        }
+
+        const kept = [];
+        for (const [group, busNames] of byGroup) {
+            const ranked = busNames.sort(compare);
+            const keep = policy === 'pause-all' ? null : ranked.shift();
+            if (keep) {
+                kept.push(keep);
+                this._logDecision(keep, `startup: keep playing (${policy})`);
+            }
+            for (const busName of ranked.reverse()) {
+                this._logDecision(busName, `startup: pause (${policy})`);
+                if (this._isResumable(busName)) {
+                    this._getResumeStack(group).push(busName);
+                }
+                this._playerManager.pausePlayer(busName);
+            }
+        }
+
+        if (kept.length > 0) this._setForeground(kept.sort(compare)[0]);
+    }
+
+    /**
+     * Put back the stack and auto-paused flags of a previous session, for
+     * players that still exist and entries that are recent enough.
+     */
+    _restoreState(busNames) {
+        const state = this._savedState;
+        this._savedState = null;
+        this._stateRestored = true;
+        if (!state || !Array.isArray(state.stack)) return;
+
+        // This runs in the player scan, so a hand-edited state file must not
+        // throw out of it.
+        try {
+            const maxAge = this._settings.get_int('state-max-age') * 60 * 1000;
+            const now = Date.now();
+            const existing = new Set(busNames);
+            const entries = state.stack.filter(entry =>
+                existing.has(entry?.busName) &&
+                Number.isFinite(entry.pausedAt) &&
+                now - entry.pausedAt <= maxAge);
+
+            const savedAutoPaused = Array.isArray(state.autoPaused) ? state.autoPaused : [];
+            const autoPaused = [
+                ...entries.map(entry => entry.busName),
+                ...savedAutoPaused.filter(busName => existing.has(busName)),
+            ];
+
+            this._playerManager.restoreAutoPaused(autoPaused);
+            this._restoreEntries(entries);
+            console.log(`[Smart Pause Resume] Restored ${entries.length} resume stack entries`);
+        } catch (e) {
+            console.error('[Smart Pause Resume] Ignoring invalid saved state', e);
+        }
+    }
+
+    _setForeground(busName) {
+        if (this._foreground === busName) return;
+
+        this._foreground = busName;
+        this._dbusService?.emitForegroundChanged(busName);
+        this._hooks.onChanged?.();
+    }
+
+    _logDecision(busName, decision) {
+        this._eventLog?.add('decision', busName, { decision });
+    }
+
+    _onStatusChanged(busName, status, oldStatus, wasAutoPaused) {
+        if (!this._settings) return;
+        this._hooks.onChanged?.();
+
+        if (this._startupPending?.delete(busName)) {
+            // A player playing now has no business on a restored stack,
+            // whether it is kept playing or paused and pushed afresh.
+            const held = status === 'Playing';
+            if (held) {
+                this._removeFromStacks(busName);
+                this._startupPlaying.push(busName);
+            }
+            if (this._startupPending.size === 0) this._endStartup();
+            if (held) return;
+        }
+
+        if (status === 'Playing') {
+            if (this._playerManager.isDucked(busName)) {
+                // A ducked player re-announcing playback (or coming back
+                // after a restart, at its own volume) stays in the
+                // background; one the user resumed comes to the foreground.
+                if (oldStatus === undefined) {
+                    this._logDecision(busName, 'ducked again: restarted');
+                    this._playerManager.reapplyDuck(busName);
+                    return;
+                }
+                if (oldStatus === 'Playing') {
+                    this._logDecision(busName, 'ignored: ducked');
+                    return;
+                }
+                this._playerManager.restoreVolume(busName);
+            }
+
+            this._removeFromStacks(busName);
+            if (this._rules.neverTriggers(busName)) {
+                this._logDecision(busName, 'no trigger: rule');
+                return;
+            }
+
+            this._scheduleTrigger(busName);
+        } else if (status === 'Paused' || status === 'Stopped') {
+            if (busName === this._foreground) this._setForeground(null);
+            if (wasAutoPaused) {
+                this._logDecision(busName, 'ignored: auto-paused');
+                return;
+            }
+
+            const stoppedAt = Date.now();
+            const delay = this._settings.get_int('resume-delay');
+            this._timeoutManager.add(delay, () => {
+                if (this._playerManager?.hasPlayer(busName)) {
+                    const currentStatus = this._playerManager.getStatusCached(busName);
+                    if (currentStatus === 'Playing') {
+                        this._logDecision(busName, 'no resume: playing again');
+                        return GLib.SOURCE_REMOVE;
+                    }
+                }
+
+                this._removeFromStacks(busName);
+                const group = this._getGroup(busName);
+                this._playerManager.checkMediaEnded(busName, stoppedAt, ended => {
+                    const key = ended ? 'resume-on-media-end' : 'resume-on-user-pause';
+                    const useStack = this._settings.get_boolean(key);
+                    if (!useStack) {
+                        this._logDecision(busName, ended ? 'no resume: media ended' : 'no resume: paused by user');
+                    }
+                    this._resumeNext(group, useStack);
+                });
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
+    /**
+     * Pause the others once the player has kept playing for the grace
+     * period, so a clip that stops right away never interrupts anything.
+     */
+    _scheduleTrigger(busName) {
+        const gracePeriod = this._settings.get_int('trigger-grace-period');
+        if (gracePeriod === 0) {
+            this._trigger(busName);
+            return;
+        }
+        if (this._pendingTriggers.has(busName)) return;
+
+        this._pendingTriggers.set(busName, this._timeoutManager.add(gracePeriod, () => {
+            this._pendingTriggers.delete(busName);
+            if (this._playerManager?.getStatus(busName) === 'Playing') {
+                this._trigger(busName);
+            } else {
+                this._logDecision(busName, 'no trigger: stopped within grace period');
+            }
+            return GLib.SOURCE_REMOVE;
+        }));
+    }
+
+    _trigger(busName) {
+        if (!this._shouldPauseOthers(busName)) return;
+
+        const group = this._getGroup(busName);
+        this._logDecision(busName, group ? `pause others in ${group}` : 'pause others');
+        this._setForeground(busName);
+        this._playerManager.pauseOthers(
+            busName,
+            (pausedBusName, ducked) => {
+                if (ducked) return;
+                if (this._isResumable(pausedBusName)) {
+                    this._getResumeStack(group).push(pausedBusName);
+                }
+                this._hooks.onAutoPaused?.(busName, pausedBusName);
+            },
+            (otherBusName) => this._isInGroup(otherBusName, group) &&
+                !this._isExemptFromPause(otherBusName) &&
+                !this._sessionExemptPairs.has(this._pairKey(busName, otherBusName))
+        );
+    }
+
+    _pairKey(busName, otherBusName) {
+        return [busName, otherBusName].sort().join('\n');
+    }
+
+    /**
+     * Pause the player that triggered an auto-pause, then bring back the
+     * players it paused.
+     */
+    undoAutoPause(trigger, paused) {
+        if (!this._playerManager) return;
+
+        const resumePaused = () => {
+            for (const busName of paused) {
+                this._removeFromStacks(busName);
+                this._playerManager?.playPlayer(busName);
+            }
+        };
+
+        if (this._playerManager.getStatus(trigger) === 'Playing') {
+            this._playerManager.pausePlayer(trigger, resumePaused);
+        } else {
+            resumePaused();
+        }
+    }
+
+    /**
+     * Stop these players from pausing each other for the rest of the
+     * session, and resume the ones that were paused.
+     */
+    letBothPlay(trigger, paused) {
+        if (!this._playerManager) return;
+
+        for (const busName of paused) {
+            this._sessionExemptPairs.add(this._pairKey(trigger, busName));
+            this._removeFromStacks(busName);
+            this._playerManager.playPlayer(busName);
+        }
+    }
+
+    /**
+     * Judge the player's current media against the triggering settings.
+     */
+    _shouldPauseOthers(busName) {
+        const metadata = this._playerManager.getMetadata(busName);
+
+        if (metadata.length === null) {
+            if (!this._settings.get_boolean('trigger-unknown-length')) {
+                this._logDecision(busName, 'no trigger: unknown length');
+                return false;
+            }
+        } else if (metadata.length < this._settings.get_int('min-trigger-length') * 1000000) {
+            this._logDecision(busName, 'no trigger: media too short');
+            return false;
+        }
+
+        if (!this._settings.get_boolean('audio-pauses-others') &&
+            classifyMedia(metadata) === 'audio') {
+            this._logDecision(busName, 'no trigger: audio');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remember the player once its identity is known. Capability changes
+     * only refresh the UI, since some players flip them all the time.
+     */
+    _onPlayerIdentified(busName) {
+        this._playerHistory.record(
+            busName,
+            this._playerManager.getIdentity(busName),
+            this._playerManager.getDesktopEntry(busName)
+        );
+        this._hooks.onChanged?.();
+    }
+
+    _onPlayerRemoved(busName) {
+        this._hooks.onChanged?.();
+        if (this._startupPending?.delete(busName) && this._startupPending.size === 0) {
+            this._endStartup();
+        }
+        if (busName === this._foreground) this._setForeground(null);
+        this._removeFromStacks(busName);
+        this._resumeNext(this._getGroup(busName));
+    }
+
+    /**
+     * Resume the next player of the group's stack, unless a player of that
+     * group is still playing. With `useStack` false only the group's ducked
+     * players are brought back.
+     */
+    _resumeNext(group, useStack = true) {
+        if (!this._playerManager) return;
+
+        const inGroup = busName => this._isInGroup(busName, group);
+        if (this._playerManager.isAnyPlaying(inGroup)) {
+            this._logDecision(null, 'no resume: something is playing');
+            return;
+        }
+        // Players paused for an app stay paused until it closes.
+        if (this._hooks.isResumeHeld?.()) {
+            this._logDecision(null, 'no resume: watched app running');
+            return;
+        }
+
+        // The foreground player is gone: ducked players come back first, and
+        // the stack is only used if none of them is still playing.
+        this._playerManager.restoreDucked(undefined, inGroup);
+        if (!useStack || this._playerManager.isAnyPlaying(inGroup)) return;
+
+        this._resumeTop(
+            this._getResumeStack(group),
+            () => this._resumeNext(group),
+            entries => this._selectResumeEntry(entries)
+        );
+    }
+
+    /**
+     * Apply the resume-policy setting to the stack entries (top first).
+     */
+    _selectResumeEntry(entries) {
+        const policy = this._settings.get_string('resume-policy');
+        const select = RESUME_POLICIES[policy] ?? RESUME_POLICIES.lifo;
+        const entry = select(entries, {
+            maxAge: this._settings.get_int('resume-max-age') * 60 * 1000,
+            now: Date.now(),
+            getPriority: busName => this._rules.getPriority(busName),
+        });
+        if (!entry) this._logDecision(null, `no resume: ${policy} policy`);
+        return entry;
+    }
+
+    /**
+     * Play the entry of `stack` chosen by `select` (the top by default),
+     * calling `retry` if it is gone or fails.
+     */
+    _resumeTop(stack, retry, select = entries => entries[0] ?? null) {
+        if (!this._playerManager || stack.isEmpty()) return;
+
+        const selected = select(stack.entries());
+        if (!selected) return;
+
+        const entry = stack.pop(selected.busName);
+        const busName = entry?.busName;
+        if (!busName || !this._playerManager.hasPlayer(busName)) {
+            this._logDecision(busName ?? null, 'skip resume: player gone');
+            retry();
+            return;
+        }
+
+        this._logDecision(busName, 'resume');
+
+        const play = () => this._playerManager?.playPlayer(busName, null, retry);
+
+        // After a long pause, step back a little so the listener gets some
+        // context again.
+        const threshold = this._settings.get_int('rewind-threshold') * 1000;
+        const amount = this._settings.get_int('rewind-amount');
+        if (amount > 0 && Date.now() - entry.pausedAt >= threshold) {
+            this._playerManager.seekBackward(busName, amount, play);
+        } else {
+            play();
+        }
+    }
+}
@@ -0,0 +1,45 @@
+const EVENT_LOG_CAPACITY = 500;
+
+/**
+ * Bounded ring buffer of timestamped events, for reconstructing after the
+ * fact why a player was paused or resumed.
+ */
+export class EventLog {
+    constructor(capacity = EVENT_LOG_CAPACITY) {
+        this._capacity = capacity;
+        this._entries = new Array(capacity);
+        this._next = 0;
+        this._count = 0;
+    }
+
+    /**
+     * Record an event; `details` are merged into the entry.
+     */
+    add(type, busName, details = {}) {
+        this._entries[this._next] = { time: Date.now(), type, busName, ...details };
+        this._next = (this._next + 1) % this._capacity;
+        this._count = Math.min(this._count + 1, this._capacity);
+    }
+
+    /**
+     * Entries oldest first.
+     */
+    entries() {
+        const start = (this._next - this._count + this._capacity) % this._capacity;
+        const entries = [];
+        for (let i = 0; i < this._count; i++) {
+            entries.push(this._entries[(start + i) % this._capacity]);
+        }
+        return entries;
+    }
+
+    toJSON() {
+        return this.entries();
+    }
+
+    clear() {
+        this._entries = new Array(this._capacity);
+        this._next = 0;
+        this._count = 0;
+    }
+}
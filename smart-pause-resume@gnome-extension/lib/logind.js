@@ -0,0 +1,104 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { TimeoutManager } from './timeoutManager.js';
+
+const LOGIND_NAME = 'org.freedesktop.login1';
+const LOGIND_PATH = '/org/freedesktop/login1';
+const LOGIND_MANAGER_IFACE = 'org.freedesktop.login1.Manager';
+const SLEEP_INHIBITOR_HOLD = 500; // ms to let pause calls go out before sleeping
+
+/**
+ * Watches logind's `PrepareForSleep` signal.
+ *
+ * Holds a "delay" sleep inhibitor while idle, so there is time to pause
+ * players before the system suspends. The connection is passed in, so a
+ * stand-in `org.freedesktop.login1` on another bus can be used for testing.
+ */
+export class LogindSleepMonitor {
+    constructor(connection, callbacks) {
+        this._connection = connection;
+        this._callbacks = callbacks; // { onSleep, onWake }
+        this._inhibitorFd = -1;
+        this._timeoutManager = new TimeoutManager();
+        this._isActive = true;
+
+        this._signalId = this._connection.signal_subscribe(
+            LOGIND_NAME,
+            LOGIND_MANAGER_IFACE,
+            'PrepareForSleep',
+            LOGIND_PATH,
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (conn, sender, path, iface, signal, params) => {
+                const [sleeping] = params.deepUnpack();
+                this._onPrepareForSleep(sleeping);
+            }
+        );
+        this._inhibit();
+    }
+
+    _onPrepareForSleep(sleeping) {
+        if (sleeping) {
+            this._callbacks.onSleep?.();
+            this._timeoutManager.add(SLEEP_INHIBITOR_HOLD, () => {
+                this._releaseInhibitor();
+                return GLib.SOURCE_REMOVE;
+            });
+        } else {
+            this._inhibit();
+            this._callbacks.onWake?.();
+        }
+    }
+
+    _inhibit() {
+        if (this._inhibitorFd >= 0) return;
+
+        this._connection.call_with_unix_fd_list(
+            LOGIND_NAME,
+            LOGIND_PATH,
+            LOGIND_MANAGER_IFACE,
+            'Inhibit',
+            new GLib.Variant('(ssss)', [
+                'sleep',
+                'Smart Pause Resume',
+                'Pausing media before sleep',
+                'delay',
+            ]),
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            null,
+            (conn, res) => {
+                try {
+                    const [result, fdList] = conn.call_with_unix_fd_list_finish(res);
+                    const [handle] = result.deepUnpack();
+                    const fd = fdList.get(handle);
+                    if (this._isActive && this._inhibitorFd < 0) {
+                        this._inhibitorFd = fd;
+                    } else {
+                        GLib.close(fd);
+                    }
+                } catch (e) {
+                    console.warn('[Smart Pause Resume] Could not take a sleep inhibitor', e);
+                }
+            }
+        );
+    }
+
+    _releaseInhibitor() {
+        if (this._inhibitorFd < 0) return;
+
+        GLib.close(this._inhibitorFd);
+        this._inhibitorFd = -1;
+    }
+
+    destroy() {
+        this._isActive = false;
+        this._timeoutManager.clear();
+        this._connection.signal_unsubscribe(this._signalId);
+        this._releaseInhibitor();
+        this._connection = null;
+    }
+}
@@ -0,0 +1,1204 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { TimeoutManager } from './timeoutManager.js';
+
+// MPRIS Usage per spec: https://specifications.freedesktop.org/mpris-spec/latest/
+export const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_IFACE = 'org.mpris.MediaPlayer2';
+const MPRIS_PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+
+const FADE_STEP_INTERVAL = 50; // ms
+const STATUS_COALESCE_DELAY = 100; // ms to let a burst of status flips settle
+const MEDIA_END_TOLERANCE = 2000000; // µs before the end that still counts as the end
+const TRACK_CHANGE_WINDOW = 1500; // ms before a stop in which a track change means the media ended
+
+// Hints used to tell music from video by the media's `xesam:url`.
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'webm', 'avi', 'mov', 'wmv', 'flv', 'm4v', 'mpg', 'mpeg', 'ts'];
+const AUDIO_EXTENSIONS = ['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'wav', 'wma', 'ape'];
+const VIDEO_HOSTS = ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv', 'dailymotion.com', 'netflix.com'];
+const AUDIO_HOSTS = ['music.youtube.com', 'open.spotify.com', 'soundcloud.com', 'bandcamp.com', 'deezer.com', 'tidal.com'];
+
+/**
+ * Strip the MPRIS prefix from a bus name for display.
+ */
+export function shortBusName(busName) {
+    return busName.startsWith(MPRIS_PREFIX)
+        ? busName.slice(MPRIS_PREFIX.length)
+        : busName;
+}
+
+function hostMatches(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Guess whether the media described by parsed MPRIS metadata is 'video',
+ * 'audio' or 'unknown'.
+ */
+export function classifyMedia(metadata) {
+    if (metadata.trackId?.startsWith('/com/spotify/')) return 'audio';
+    if (!metadata.url) return 'unknown';
+
+    let uri = null;
+    try {
+        uri = GLib.Uri.parse(metadata.url, GLib.UriFlags.NONE);
+    } catch (e) {
+        // Not a URI; fall back to looking at the raw string.
+    }
+
+    const host = (uri?.get_host() ?? '').toLowerCase();
+    if (hostMatches(host, AUDIO_HOSTS)) return 'audio';
+    if (hostMatches(host, VIDEO_HOSTS)) return 'video';
+
+    const path = (uri?.get_path() ?? metadata.url).toLowerCase();
+    const extension = path.includes('.') ? path.split('.').pop() : '';
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    return 'unknown';
+}
+
+/**
+ * Manages MPRIS player discovery, proxies, and playback control.
+ */
+export class MprisPlayerManager {
+    constructor(callbacks, eventLog = null) {
+        this._callbacks = callbacks; // { onStatusChanged, onUnsupported, ... }
+        this._eventLog = eventLog;
+        this._players = new Map();   // busName → {proxy}
+        this._owners = new Map();    // unique name → Set of bus names it owns
+        this._busOwners = new Map(); // busName → unique name
+        this._rootProxies = new Map(); // busName → org.mpris.MediaPlayer2 proxy
+        this._status = new Map();    // busName → 'Playing'|'Paused'|'Stopped'
+        this._metadata = new Map();  // busName → {trackId, length, url, artUrl}
+        this._trackChangedAt = new Map(); // busName → time of the last track change
+        this._pendingStatus = new Map(); // busName → status waiting for the burst to settle
+        this._flushStatusId = 0;
+        this._capabilities = new Map(); // busName → {canControl, canPause, canPlay}
+        this._autoPaused = new Set();
+        this._restoredAutoPaused = new Set();
+        this._duckedVolumes = new Map(); // busName → volume before ducking
+        this._duckTargets = new Map(); // busName → volume it was lowered to
+        this._duckVolume = null;
+        this._pauseFallback = 'mute';
+        this._fades = new Map();         // busName → in-progress volume fade
+        this._pendingFadeIns = new Map(); // busName → volume to fade in once Play returns
+        this._pendingPauseVolumes = new Map(); // busName → volume to put back once Pause returns
+        this._fadeOutDuration = 0;
+        this._fadeInDuration = 0;
+        this._timeoutManager = new TimeoutManager();
+        this._connection = null;
+        this._dbusProxy = null;
+        this._nameOwnerChangedId = null;
+        this._propertiesChangedId = null;
+        this._isActive = false;
+    }
+
+    _log(type, busName, details) {
+        this._eventLog?.add(type, busName, details);
+    }
+
+    /**
+     * Initialize DBus connections and start monitoring players.
+     */
+    initialize() {
+        console.log('[Smart Pause Resume] Initializing player manager...');
+        this._isActive = true;
+
+        Gio.bus_get(Gio.BusType.SESSION, null, (obj, res) => {
+            if (!this._isActive) return;
+            try {
+                this._connection = Gio.bus_get_finish(res);
+                this._subscribeToNameOwnerChanged();
+                this._subscribeToPropertiesChanged();
+                this._createDbusProxy();
+            } catch (e) {
+                console.error('[Smart Pause Resume] Failed to get session bus', e);
+            }
+        });
+    }
+
+    _subscribeToNameOwnerChanged() {
+        this._nameOwnerChangedId = this._connection.signal_subscribe(
+            'org.freedesktop.DBus',
+            'org.freedesktop.DBus',
+            'NameOwnerChanged',
+            '/org/freedesktop/DBus',
+            null,
+            Gio.DBusSignalFlags.NONE,
+            this._onNameOwnerChanged.bind(this)
+        );
+    }
+
+    /**
+     * One subscription for every player: the sender is looked up in the
+     * owner index, so signals from other apps cost a single map lookup.
+     */
+    _subscribeToPropertiesChanged() {
+        this._propertiesChangedId = this._connection.signal_subscribe(
+            null,
+            'org.freedesktop.DBus.Properties',
+            'PropertiesChanged',
+            MPRIS_PATH,
+            MPRIS_PLAYER_IFACE,
+            Gio.DBusSignalFlags.NONE,
+            this._onPropertiesChanged.bind(this)
+        );
+    }
+
+    _setOwner(busName, owner) {
+        this._clearOwner(busName);
+        if (!owner) return;
+
+        if (!this._owners.has(owner)) this._owners.set(owner, new Set());
+        this._owners.get(owner).add(busName);
+        this._busOwners.set(busName, owner);
+    }
+
+    _clearOwner(busName) {
+        const owner = this._busOwners.get(busName);
+        if (!owner) return;
+
+        this._busOwners.delete(busName);
+        const busNames = this._owners.get(owner);
+        busNames?.delete(busName);
+        if (busNames?.size === 0) this._owners.delete(owner);
+    }
+
+    _createDbusProxy() {
+        Gio.DBusProxy.new_for_bus(
+            Gio.BusType.SESSION,
+            Gio.DBusProxyFlags.NONE,
+            null,
+            'org.freedesktop.DBus',
+            '/org/freedesktop/DBus',
+            'org.freedesktop.DBus',
+            null,
+            (proxyObj, proxyRes) => {
+                if (!this._isActive) return;
+                try {
+                    this._dbusProxy = Gio.DBusProxy.new_for_bus_finish(proxyRes);
+                    this._scanExistingPlayers();
+                } catch (e) {
+                    console.error('[Smart Pause Resume] Failed to create DBus proxy', e);
+                }
+            }
+        );
+    }
+
+    _scanExistingPlayers() {
+        if (!this._dbusProxy) return;
+
+        console.log('[Smart Pause Resume] Scanning for players...');
+        this._dbusProxy.call(
+            'ListNames',
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (proxy, res) => {
+                if (!this._isActive) return;
+                try {
+                    const result = proxy.call_finish(res);
+                    const [names] = result.deepUnpack();
+                    const players = names.filter(name => name.startsWith(MPRIS_PREFIX));
+                    this._callbacks.onPlayersScanned?.(players);
+                    for (let name of players) {
+                        this._addPlayer(name);
+                    }
+                } catch (e) {
+                    console.error('[Smart Pause Resume] ListNames failed', e);
+                    this._log('dbus-error', null, { method: 'ListNames', error: e.message });
+                }
+            }
+        );
+    }
+
+    _onNameOwnerChanged(connection, sender, path, iface, signalName, parameters) {
+        try {
+            const [name, oldOwner, newOwner] = parameters.deepUnpack();
+            if (!name.startsWith(MPRIS_PREFIX)) return;
+
+            this._log('name-owner-changed', name, { oldOwner, newOwner });
+            if (newOwner !== oldOwner) {
+                if (oldOwner) this._removePlayer(name);
+                if (newOwner) {
+                    this._setOwner(name, newOwner);
+                    this._addPlayer(name);
+                }
+            }
+        } catch (e) {
+            console.error('[Smart Pause Resume] Error in NameOwnerChanged', e);
+        }
+    }
+
+    _addPlayer(busName) {
+        if (this._players.has(busName)) return;
+
+        this._addRootProxy(busName);
+
+        Gio.DBusProxy.new_for_bus(
+            Gio.BusType.SESSION,
+            Gio.DBusProxyFlags.NONE,
+            null,
+            busName,
+            MPRIS_PATH,
+            MPRIS_PLAYER_IFACE,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    const proxy = Gio.DBusProxy.new_for_bus_finish(res);
+                    this._onPlayerProxyReady(busName, proxy);
+                } catch (e) {
+                    console.error(`[Smart Pause Resume] Failed to create proxy for ${busName}`, e);
+                    this._log('dbus-error', busName, { method: 'new_for_bus', error: e.message });
+                }
+            }
+        );
+    }
+
+    /**
+     * Create a proxy for the root MPRIS interface, which carries the
+     * player's `Identity` and `DesktopEntry`.
+     */
+    _addRootProxy(busName) {
+        Gio.DBusProxy.new_for_bus(
+            Gio.BusType.SESSION,
+            Gio.DBusProxyFlags.NONE,
+            null,
+            busName,
+            MPRIS_PATH,
+            MPRIS_IFACE,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    const proxy = Gio.DBusProxy.new_for_bus_finish(res);
+                    // The player may have quit in the meantime.
+                    if (!proxy.get_name_owner()) return;
+
+                    this._rootProxies.set(busName, proxy);
+                    this._callbacks.onPlayerIdentified?.(busName);
+                } catch (e) {
+                    console.warn(`[Smart Pause Resume] Failed to read identity of ${busName}`, e);
+                }
+            }
+        );
+    }
+
+    _onPlayerProxyReady(busName, proxy) {
+        if (!this._isActive || !this._connection) return;
+
+        // The player may have quit in the meantime.
+        const owner = proxy.get_name_owner();
+        if (!owner) return;
+
+        try {
+            this._setOwner(busName, owner);
+            this._players.set(busName, { proxy });
+            this._capabilities.set(busName, this._readCapabilities(proxy));
+            const metadata = proxy.get_cached_property('Metadata');
+            if (metadata) this._metadata.set(busName, this._parseMetadata(metadata));
+            this._updatePlayerStatus(busName, proxy);
+        } catch (e) {
+            console.error(`[Smart Pause Resume] Error setting up player ${this.describePlayer(busName)}`, e);
+        }
+    }
+
+    _onPropertiesChanged(conn, sender, path, iface, signal, params) {
+        const busNames = this._owners.get(sender);
+        if (!busNames) return;
+
+        const [interfaceName, changedProps] = params.deepUnpack();
+        if (interfaceName !== MPRIS_PLAYER_IFACE) return;
+
+        for (const busName of busNames) {
+            if (!this._players.has(busName)) continue;
+
+            // Metadata first, so a status change in the same signal is
+            // judged against the new media.
+            if (changedProps['Metadata']) {
+                this._onMetadataChanged(busName, this._parseMetadata(changedProps['Metadata']));
+            }
+            if (changedProps['PlaybackStatus']) {
+                this._queueStatus(busName, changedProps['PlaybackStatus'].deepUnpack());
+            }
+            if (changedProps['Volume']) {
+                const volume = changedProps['Volume'].deepUnpack();
+                this._onVolumeChanged(busName, volume);
+            }
+            if (changedProps['CanControl'] || changedProps['CanPause'] ||
+                changedProps['CanPlay']) {
+                this._onCapabilitiesChanged(busName, changedProps);
+            }
+        }
+    }
+
+    _onMetadataChanged(busName, metadata) {
+        const old = this._metadata.get(busName);
+        if (old && (old.trackId !== metadata.trackId || old.url !== metadata.url)) {
+            this._trackChangedAt.set(busName, Date.now());
+        }
+        this._metadata.set(busName, metadata);
+    }
+
+    /**
+     * Hold status changes back briefly and only report the last one per
+     * player, so a burst of flips (track changes, seeking, tab switches)
+     * reaches the decision logic once, after any Metadata sent with it.
+     */
+    _queueStatus(busName, status) {
+        this._pendingStatus.set(busName, status);
+        if (this._flushStatusId) return;
+
+        this._flushStatusId = this._timeoutManager.add(STATUS_COALESCE_DELAY, () => {
+            this._flushStatusId = 0;
+            const pending = [...this._pendingStatus];
+            this._pendingStatus.clear();
+            for (const [pendingBusName, pendingStatus] of pending) {
+                if (this._players.has(pendingBusName)) {
+                    this._handleStatusChange(pendingBusName, pendingStatus);
+                }
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _updatePlayerStatus(busName, proxy) {
+        const status = this._getPlayerStatusCached(proxy);
+        if (status && status !== 'Stopped') {
+            this._handleStatusChange(busName, status);
+            return;
+        }
+
+        proxy.call(
+            'org.freedesktop.DBus.Properties.Get',
+            new GLib.Variant('(ss)', [MPRIS_PLAYER_IFACE, 'PlaybackStatus']),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    const result = obj.call_finish(res);
+                    const [val] = result.deepUnpack();
+                    const status = val.recursiveUnpack();
+                    this._handleStatusChange(busName, status);
+                } catch (e) {
+                    this._status.set(busName, 'Stopped');
+                }
+            }
+        );
+    }
+
+    _handleStatusChange(busName, status) {
+        // The user paused or stopped the player while we were fading it.
+        if (status !== 'Playing') this._cancelFade(busName, true);
+
+        const oldStatus = this._status.get(busName);
+
+        // Flags restored from a previous session only describe the state the
+        // player was left in, so they only apply to its first report.
+        if (oldStatus === undefined && this._restoredAutoPaused.delete(busName) &&
+            status !== 'Playing') {
+            this._autoPaused.add(busName);
+        }
+
+        this._status.set(busName, status);
+        this._log('status', busName, {
+            status,
+            oldStatus: oldStatus ?? null,
+            autoPaused: this._autoPaused.has(busName),
+        });
+        this._callbacks.onStatusChanged(busName, status, oldStatus, this._autoPaused.has(busName));
+
+        if (this._autoPaused.has(busName) && (status === 'Paused' || status === 'Stopped')) {
+            this._autoPaused.delete(busName);
+        }
+    }
+
+    /**
+     * Read `CanControl`, `CanPause` and `CanPlay` from the proxy cache.
+     * Players that leave one out are given the benefit of the doubt.
+     */
+    _readCapabilities(proxy) {
+        const read = property => {
+            try {
+                const val = proxy.get_cached_property(property);
+                return val ? val.deepUnpack() : true;
+            } catch (e) {
+                return true;
+            }
+        };
+        return {
+            canControl: read('CanControl'),
+            canPause: read('CanPause'),
+            canPlay: read('CanPlay'),
+        };
+    }
+
+    _onCapabilitiesChanged(busName, changedProps) {
+        const capabilities = { ...this.getCapabilities(busName) };
+        for (const [property, key] of [
+            ['CanControl', 'canControl'],
+            ['CanPause', 'canPause'],
+            ['CanPlay', 'canPlay'],
+        ]) {
+            if (changedProps[property]) capabilities[key] = changedProps[property].deepUnpack();
+        }
+
+        this._capabilities.set(busName, capabilities);
+        this._log('capabilities', busName, capabilities);
+        this._callbacks.onPlayerInfoChanged?.(busName);
+    }
+
+    _reportUnsupported(busName, action) {
+        console.log(`[Smart Pause Resume] ${this.describePlayer(busName)} cannot ${action}`);
+        this._log('unsupported', busName, { action });
+        this._callbacks.onUnsupported?.(busName, action);
+    }
+
+    _onVolumeChanged(busName, volume) {
+        const fade = this._fades.get(busName);
+        if (!fade) return;
+
+        // Anything outside the range we are fading through was set by the
+        // user, who now owns the volume.
+        const low = Math.min(fade.from, fade.to) - 0.01;
+        const high = Math.max(fade.from, fade.to) + 0.01;
+        if (volume < low || volume > high) {
+            this._cancelFade(busName, false);
+        }
+    }
+
+    /**
+     * Step a player's volume from `from` to `to` over `duration` ms.
+     *
+     * A duration of 0 sets the target volume in a single step. `onError` runs
+     * if the player rejects a volume change; `onCancel` runs if the fade is
+     * interrupted by the user or by `destroy()`.
+     */
+    _fadeVolume(busName, from, to, duration, { onDone, onError, onCancel } = {}) {
+        this._cancelFade(busName, false);
+
+        const steps = Math.max(1, Math.round(duration / FADE_STEP_INTERVAL));
+        const fade = { from, to, timeoutId: 0, onCancel, pausing: false };
+        this._fades.set(busName, fade);
+
+        const step = i => {
+            this._setPlayerVolume(
+                busName,
+                from + (to - from) * i / steps,
+                () => {
+                    if (this._fades.get(busName) !== fade) return;
+                    if (i >= steps) {
+                        this._fades.delete(busName);
+                        onDone?.();
+                        return;
+                    }
+                    fade.timeoutId = this._timeoutManager.add(FADE_STEP_INTERVAL, () => {
+                        fade.timeoutId = 0;
+                        step(i + 1);
+                        return GLib.SOURCE_REMOVE;
+                    });
+                },
+                () => {
+                    if (this._fades.get(busName) !== fade) return;
+                    this._fades.delete(busName);
+                    onError?.();
+                }
+            );
+        };
+        step(1);
+        return fade;
+    }
+
+    /**
+     * Stop an in-progress fade. With `restore`, the player is put back at the
+     * louder end of the fade, which is the volume the user chose.
+     */
+    _cancelFade(busName, restore) {
+        const fade = this._fades.get(busName);
+        if (!fade) return;
+
+        this._fades.delete(busName);
+        if (fade.timeoutId) this._timeoutManager.remove(fade.timeoutId);
+        if (restore) this._setPlayerVolume(busName, Math.max(fade.from, fade.to));
+        fade.onCancel?.();
+    }
+
+    _removePlayer(busName) {
+        this._cancelFade(busName, false);
+
+        this._players.delete(busName);
+        this._clearOwner(busName);
+        this._pendingStatus.delete(busName);
+        this._status.delete(busName);
+        this._metadata.delete(busName);
+        this._trackChangedAt.delete(busName);
+        this._capabilities.delete(busName);
+        this._autoPaused.delete(busName);
+        // Identity stays readable during the callback, so player rules and
+        // groups naming it still match.
+        this._callbacks.onPlayerRemoved?.(busName);
+        this._rootProxies.delete(busName);
+    }
+
+    _parseMetadata(variant) {
+        let metadata = {};
+        try {
+            metadata = variant.recursiveUnpack();
+        } catch (e) {
+            console.warn('[Smart Pause Resume] Invalid player metadata', e);
+        }
+
+        // Streams report no length, or a length of 0.
+        const length = Number(metadata['mpris:length'] ?? 0);
+        return {
+            trackId: metadata['mpris:trackid'] ?? null,
+            length: length > 0 ? length : null,
+            url: metadata['xesam:url'] ?? null,
+            artUrl: metadata['mpris:artUrl'] ?? null,
+        };
+    }
+
+    _getPlayerVolumeCached(proxy) {
+        try {
+            const val = proxy.get_cached_property('Volume');
+            return val ? val.deepUnpack() : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _getPlayerCanSeekCached(proxy) {
+        try {
+            const val = proxy.get_cached_property('CanSeek');
+            return val ? val.deepUnpack() : false;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _setPlayerVolume(busName, volume, onSuccess, onError) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) {
+            onError?.();
+            return;
+        }
+
+        playerObj.proxy.call(
+            'org.freedesktop.DBus.Properties.Set',
+            new GLib.Variant('(ssv)', [
+                MPRIS_PLAYER_IFACE,
+                'Volume',
+                new GLib.Variant('d', volume),
+            ]),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    obj.call_finish(res);
+                    onSuccess?.();
+                } catch (e) {
+                    this._log('dbus-error', busName, { method: 'Set Volume', error: e.message });
+                    onError?.();
+                }
+            }
+        );
+    }
+
+    _getPlayerStatusCached(proxy) {
+        try {
+            const val = proxy.get_cached_property('PlaybackStatus');
+            return val ? val.deepUnpack() : 'Stopped';
+        } catch (e) {
+            return 'Stopped';
+        }
+    }
+
+    /**
+     * Get cached status for a player by bus name.
+     */
+    getStatus(busName) {
+        return this._status.get(busName);
+    }
+
+    /**
+     * Get cached status using proxy.
+     */
+    getStatusCached(busName) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) return 'Stopped';
+        return this._getPlayerStatusCached(playerObj.proxy);
+    }
+
+    _getRootPropertyCached(busName, property) {
+        try {
+            const val = this._rootProxies.get(busName)?.get_cached_property(property);
+            return val ? val.deepUnpack() : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * The player's human-readable `Identity` ("Firefox"), or null.
+     */
+    getIdentity(busName) {
+        return this._getRootPropertyCached(busName, 'Identity') || null;
+    }
+
+    /**
+     * The player's `DesktopEntry` ("firefox", without ".desktop"), or null.
+     */
+    getDesktopEntry(busName) {
+        return this._getRootPropertyCached(busName, 'DesktopEntry') || null;
+    }
+
+    /**
+     * A name to show for the player: its identity if known, otherwise the
+     * bus name without the MPRIS prefix.
+     */
+    getDisplayName(busName) {
+        return this.getIdentity(busName) ?? shortBusName(busName);
+    }
+
+    /**
+     * The display name followed by the bus name, for logs.
+     */
+    describePlayer(busName) {
+        const identity = this.getIdentity(busName);
+        return identity ? `${identity} (${busName})` : busName;
+    }
+
+    /**
+     * Parsed metadata of the player's current media: `trackId`, `length`
+     * (µs, null if unknown), `url` and `artUrl`.
+     */
+    getMetadata(busName) {
+        return this._metadata.get(busName) ??
+            { trackId: null, length: null, url: null, artUrl: null };
+    }
+
+    /**
+     * Check if any player is currently playing in the foreground.
+     *
+     * Ducked players are still playing, but only in the background, so they
+     * are not counted. `filter(busName)` limits the check to some players.
+     */
+    isAnyPlaying(filter = null) {
+        for (let [busName, status] of this._status) {
+            if (filter && !filter(busName)) continue;
+            if (status === 'Playing' && !this._duckedVolumes.has(busName)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if a player currently has its volume lowered by us.
+     */
+    isDucked(busName) {
+        return this._duckedVolumes.has(busName);
+    }
+
+    /**
+     * Set the volume (0.0–1.0) other players are lowered to by
+     * `pauseOthers()`, or null to pause them instead.
+     */
+    setDuckVolume(volume) {
+        this._duckVolume = volume;
+    }
+
+    /**
+     * Set how long (in ms) auto-pause fades out and auto-resume fades in.
+     * A duration of 0 disables the fade.
+     */
+    setFadeDurations(fadeOut, fadeIn) {
+        this._fadeOutDuration = fadeOut;
+        this._fadeInDuration = fadeIn;
+    }
+
+    /**
+     * What the player says it supports, as `{canControl, canPause, canPlay}`.
+     * With `canControl` false, nothing can be done with it.
+     */
+    getCapabilities(busName) {
+        return this._capabilities.get(busName) ??
+            { canControl: true, canPause: true, canPlay: true };
+    }
+
+    /**
+     * Whether a paused player can be played again.
+     */
+    canResume(busName) {
+        const { canControl, canPlay } = this.getCapabilities(busName);
+        return canControl && canPlay;
+    }
+
+    /**
+     * Set what happens to players that cannot pause: 'mute' sets their
+     * volume to 0 until they are resumed, 'stop' stops them and 'none'
+     * leaves them playing.
+     */
+    setPauseFallback(fallback) {
+        this._pauseFallback = fallback;
+    }
+
+    /**
+     * How `pausePlayer()` silences the player: 'pause', the 'mute' or 'stop'
+     * fallback for players that cannot pause, or null if nothing applies.
+     */
+    getPauseMethod(busName, allowMute = true) {
+        const { canControl, canPause } = this.getCapabilities(busName);
+        if (!canControl) return null;
+        if (canPause) return 'pause';
+
+        const playerObj = this._players.get(busName);
+        if (this._pauseFallback === 'mute' && allowMute && playerObj &&
+            this._getPlayerVolumeCached(playerObj.proxy) !== null) {
+            return 'mute';
+        }
+        if (this._pauseFallback !== 'none') return 'stop';
+        return null;
+    }
+
+    /**
+     * Check if player exists.
+     */
+    hasPlayer(busName) {
+        return this._players.has(busName);
+    }
+
+    /**
+     * Bus names of all known players.
+     */
+    getPlayers() {
+        return [...this._players.keys()];
+    }
+
+    /**
+     * Bus names we paused and have not yet seen the pause of.
+     */
+    getAutoPaused() {
+        return [...this._autoPaused];
+    }
+
+    /**
+     * Mark players as auto-paused by a previous session, so their initial
+     * Paused status does not count as the user pausing them.
+     */
+    restoreAutoPaused(busNames) {
+        for (let busName of busNames) {
+            if (!this._status.has(busName)) this._restoredAutoPaused.add(busName);
+        }
+    }
+
+    /**
+     * Pause a specific player, or use the fallback for players that cannot
+     * pause (see `getPauseMethod()`). `onSuccess` receives whether the player
+     * was only muted, like a ducked player. The volume fades out over
+     * `fadeDuration` ms (the configured fade-out duration by default).
+     */
+    pausePlayer(busName, onSuccess, allowMute = true, fadeDuration = this._fadeOutDuration) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) return;
+
+        const method = this.getPauseMethod(busName, allowMute);
+        if (method === null) {
+            this._reportUnsupported(busName, 'pause');
+            return;
+        }
+        if (method === 'mute') {
+            this.duckPlayer(busName, 0, ducked => onSuccess?.(ducked), fadeDuration);
+            return;
+        }
+        const call = method === 'stop' ? 'Stop' : 'Pause';
+
+        // Already fading out towards a pause; that pause will happen.
+        const currentFade = this._fades.get(busName);
+        if (currentFade?.pausing) return;
+
+        // If it is still fading in, the volume to come back to is the target.
+        const currentVolume = this._getPlayerVolumeCached(playerObj.proxy);
+        const volume = currentFade
+            ? Math.max(currentFade.from, currentFade.to)
+            : currentVolume;
+        if (!fadeDuration || !currentVolume) {
+            this._cancelFade(busName, true);
+            this._callPause(busName, call, () => onSuccess?.(false));
+            return;
+        }
+
+        // Fade out, pause, then put the volume back for the next Play.
+        // Until Pause returns, destroy() puts it back.
+        const fade = this._fadeVolume(busName, currentVolume, 0, fadeDuration, {
+            onDone: () => {
+                this._pendingPauseVolumes.set(busName, volume);
+                this._callPause(
+                    busName,
+                    call,
+                    () => {
+                        this._pendingPauseVolumes.delete(busName);
+                        this._setPlayerVolume(busName, volume);
+                        onSuccess?.(false);
+                    },
+                    () => {
+                        this._pendingPauseVolumes.delete(busName);
+                        this._setPlayerVolume(busName, volume);
+                    }
+                );
+            },
+            onError: () => this._callPause(busName, call, () => onSuccess?.(false)),
+        });
+        fade.pausing = true;
+    }
+
+    /**
+     * Call `Pause` or `Stop` on the player.
+     */
+    _callPause(busName, method, onSuccess, onError) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) return;
+
+        this._autoPaused.add(busName);
+        playerObj.proxy.call(
+            method,
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    obj.call_finish(res);
+                    this._status.set(busName, method === 'Stop' ? 'Stopped' : 'Paused');
+                    this._log('call', busName, { method });
+                    onSuccess?.();
+                } catch (e) {
+                    this._autoPaused.delete(busName);
+                    this._log('dbus-error', busName, { method, error: e.message });
+                    onError?.();
+                }
+            }
+        );
+    }
+
+    /**
+     * Lower a player's volume instead of pausing it.
+     *
+     * The original volume is remembered per bus name until `restoreDucked()`,
+     * so it survives the player restarting under the same name. Players
+     * without a writable `Volume` property are paused instead; `onSuccess`
+     * receives whether the player was ducked (true) or paused (false). The
+     * volume fades over `fadeDuration` ms.
+     */
+    duckPlayer(busName, volume, onSuccess, fadeDuration = this._fadeOutDuration) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) return;
+
+        if (!this.getCapabilities(busName).canControl) {
+            this._reportUnsupported(busName, 'pause');
+            return;
+        }
+
+        const currentVolume = this._getPlayerVolumeCached(playerObj.proxy);
+        if (currentVolume === null) {
+            this.pausePlayer(busName, () => onSuccess?.(false), false, fadeDuration);
+            return;
+        }
+
+        const originalVolume = this._duckedVolumes.get(busName) ?? currentVolume;
+        this._fadeVolume(
+            busName,
+            currentVolume,
+            Math.min(volume, originalVolume),
+            fadeDuration,
+            {
+                onDone: () => {
+                    this._duckedVolumes.set(busName, originalVolume);
+                    this._duckTargets.set(busName, Math.min(volume, originalVolume));
+                    this._log('call', busName, { method: 'Duck', volume: Math.min(volume, originalVolume) });
+                    onSuccess?.(true);
+                },
+                onError: () => this.pausePlayer(busName, () => onSuccess?.(false), false),
+            }
+        );
+    }
+
+    /**
+     * Lower a ducked player that came back under the same bus name, such as
+     * a restarted player, to the volume it was ducked to, without a fade.
+     */
+    reapplyDuck(busName) {
+        const volume = this._duckTargets.get(busName);
+        if (volume === undefined) return;
+
+        this._log('call', busName, { method: 'Reapply Duck', volume });
+        this.duckPlayer(busName, volume, null, 0);
+    }
+
+    /**
+     * Give a single ducked player its original volume back, fading in over
+     * `duration` ms (the configured fade-in duration by default).
+     */
+    restoreVolume(busName, duration = this._fadeInDuration) {
+        const volume = this._duckedVolumes.get(busName);
+        if (volume === undefined) return;
+
+        this._duckedVolumes.delete(busName);
+        this._duckTargets.delete(busName);
+        const playerObj = this._players.get(busName);
+        if (!playerObj) return;
+
+        const currentVolume = this._getPlayerVolumeCached(playerObj.proxy) ?? volume;
+        this._log('call', busName, { method: 'Restore Volume', volume });
+        this._fadeVolume(busName, currentVolume, volume, duration);
+    }
+
+    /**
+     * Give every ducked player (or those passing `filter`) its original
+     * volume back.
+     */
+    restoreDucked(duration = this._fadeInDuration, filter = null) {
+        for (let busName of [...this._duckedVolumes.keys()]) {
+            if (filter && !filter(busName)) continue;
+            this.restoreVolume(busName, duration);
+        }
+    }
+
+    /**
+     * Pause (or duck, see `setDuckVolume()`) all players except the
+     * specified one.
+     *
+     * If `filter` is given, only players for which it returns true are paused.
+     * `onEachPaused` receives the bus name and whether it was only ducked.
+     */
+    pauseOthers(currentBusName, onEachPaused, filter) {
+        for (let [busName] of this._players) {
+            if (busName === currentBusName) continue;
+            if (filter && !filter(busName)) continue;
+
+            const status = this._status.get(busName);
+            if (status !== 'Playing') continue;
+
+            if (this._duckVolume !== null) {
+                this.duckPlayer(busName, this._duckVolume,
+                    ducked => onEachPaused?.(busName, ducked));
+            } else {
+                this.pausePlayer(busName, ducked => onEachPaused?.(busName, ducked));
+            }
+        }
+    }
+
+    /**
+     * Seek a player back by `seconds`, then call `onDone` whether or not it
+     * could. Players that report `CanSeek` as false are left alone.
+     */
+    seekBackward(busName, seconds, onDone) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj || !this._getPlayerCanSeekCached(playerObj.proxy)) {
+            onDone?.();
+            return;
+        }
+
+        playerObj.proxy.call(
+            'Seek',
+            new GLib.Variant('(x)', [-seconds * 1000000]),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    obj.call_finish(res);
+                    this._log('call', busName, { method: 'Seek', offset: -seconds });
+                } catch (e) {
+                    console.warn(`[Smart Pause Resume] Failed to rewind ${this.describePlayer(busName)}`, e);
+                    this._log('dbus-error', busName, { method: 'Seek', error: e.message });
+                }
+                onDone?.();
+            }
+        );
+    }
+
+    /**
+     * Find out whether a player that paused or stopped at `stoppedAt` (ms
+     * since the epoch) reached the end of its media, rather than being
+     * paused mid-track, and pass the answer to `callback(ended)`.
+     *
+     * It ended if its `Position` is at the end of its `mpris:length`, or if
+     * the track changed just before (a playlist that ran out and went back
+     * to its start). `Position` is not signalled, so it is read here. Media
+     * of unknown length only ends with a track change.
+     */
+    checkMediaEnded(busName, stoppedAt, callback) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) {
+            callback(false);
+            return;
+        }
+
+        const trackChangedAt = this._trackChangedAt.get(busName) ?? 0;
+        if (trackChangedAt >= stoppedAt - TRACK_CHANGE_WINDOW) {
+            this._log('media-end', busName, { reason: 'track-change' });
+            callback(true);
+            return;
+        }
+
+        const { length } = this.getMetadata(busName);
+        if (length === null) {
+            callback(false);
+            return;
+        }
+
+        playerObj.proxy.call(
+            'org.freedesktop.DBus.Properties.Get',
+            new GLib.Variant('(ss)', [MPRIS_PLAYER_IFACE, 'Position']),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                let position = null;
+                try {
+                    const [val] = obj.call_finish(res).deepUnpack();
+                    position = Number(val.recursiveUnpack());
+                } catch (e) {
+                    this._log('dbus-error', busName, { method: 'Get Position', error: e.message });
+                }
+                const ended = position !== null && position >= length - MEDIA_END_TOLERANCE;
+                if (ended) this._log('media-end', busName, { reason: 'position', position, length });
+                callback(ended);
+            }
+        );
+    }
+
+    /**
+     * Resume a specific player.
+     */
+    playPlayer(busName, onSuccess, onError) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) {
+            onError?.();
+            return;
+        }
+        if (!this.canResume(busName)) {
+            this._reportUnsupported(busName, 'play');
+            onError?.();
+            return;
+        }
+
+        const volume = this._getPlayerVolumeCached(playerObj.proxy);
+        if (!this._fadeInDuration || !volume || this._fades.has(busName)) {
+            this._callPlay(busName, onSuccess, onError);
+            return;
+        }
+
+        // Start silent, play, then fade back up to the volume we found.
+        // Until Play returns, destroy() puts that volume back.
+        this._pendingFadeIns.set(busName, volume);
+        this._setPlayerVolume(
+            busName,
+            0,
+            () => {
+                this._callPlay(
+                    busName,
+                    () => {
+                        this._pendingFadeIns.delete(busName);
+                        this._fadeVolume(busName, 0, volume, this._fadeInDuration);
+                        onSuccess?.();
+                    },
+                    () => {
+                        this._pendingFadeIns.delete(busName);
+                        this._setPlayerVolume(busName, volume);
+                        onError?.();
+                    }
+                );
+            },
+            () => {
+                this._pendingFadeIns.delete(busName);
+                this._callPlay(busName, onSuccess, onError);
+            }
+        );
+    }
+
+    _callPlay(busName, onSuccess, onError) {
+        const playerObj = this._players.get(busName);
+        if (!playerObj) {
+            onError?.();
+            return;
+        }
+
+        playerObj.proxy.call(
+            'Play',
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (obj, res) => {
+                if (!this._isActive) return;
+                try {
+                    obj.call_finish(res);
+                    this._status.set(busName, 'Playing');
+                    this._autoPaused.delete(busName);
+                    this._log('call', busName, { method: 'Play' });
+                    onSuccess?.();
+                } catch (e) {
+                    this._log('dbus-error', busName, { method: 'Play', error: e.message });
+                    onError?.();
+                }
+            }
+        );
+    }
+
+    /**
+     * Clean up all resources.
+     */
+    destroy() {
+        console.log('[Smart Pause Resume] Destroying player manager...');
+        for (let busName of [...this._fades.keys()]) {
+            this._cancelFade(busName, true);
+        }
+        for (const [busName, volume] of [...this._pendingFadeIns, ...this._pendingPauseVolumes]) {
+            this._setPlayerVolume(busName, volume);
+        }
+        this._pendingFadeIns.clear();
+        this._pendingPauseVolumes.clear();
+        this._timeoutManager.clear();
+        this.restoreDucked(0);
+        this._isActive = false;
+
+        if (this._nameOwnerChangedId && this._connection) {
+            this._connection.signal_unsubscribe(this._nameOwnerChangedId);
+            this._nameOwnerChangedId = null;
+        }
+
+        if (this._propertiesChangedId && this._connection) {
+            this._connection.signal_unsubscribe(this._propertiesChangedId);
+            this._propertiesChangedId = null;
+        }
+        this._flushStatusId = 0;
+
+        this._connection = null;
+        this._dbusProxy = null;
+        this._players.clear();
+        this._owners.clear();
+        this._busOwners.clear();
+        this._pendingStatus.clear();
+        this._rootProxies.clear();
+        this._status.clear();
+        this._metadata.clear();
+        this._trackChangedAt.clear();
+        this._capabilities.clear();
+        this._autoPaused.clear();
+        this._restoredAutoPaused.clear();
+        this._duckedVolumes.clear();
+        this._duckTargets.clear();
+        this._fades.clear();
+    }
+}
@@ -0,0 +1,48 @@
+import GLib from 'gi://GLib';
+
+import { shortBusName } from './mpris.js';
+
+export const PLAYER_HISTORY_SIZE = 30;
+const TOUCH_INTERVAL = 60 * 60 * 1000; // ms between updates of the newest entry
+
+/**
+ * The rule pattern that matches this player now and after a restart.
+ *
+ * Browsers and mpv add a per-process suffix such as ".instance1234" to their
+ * bus name; it is dropped, so the pattern is a prefix of every instance.
+ */
+export function getPlayerPattern(busName) {
+    return shortBusName(busName).replace(/\.instance[^.]*$/, '');
+}
+
+/**
+ * Records the players seen into the `seen-players` setting, most recent
+ * first, so the preferences can offer them after they quit.
+ */
+export class PlayerHistory {
+    constructor(settings) {
+        this._settings = settings;
+    }
+
+    /**
+     * Move the player to the front of the history. Nothing is written if it
+     * is already there and was seen recently, since players come and go often.
+     */
+    record(busName, identity, desktopEntry) {
+        const pattern = getPlayerPattern(busName);
+        const now = Date.now();
+        const entries = this._settings.get_value('seen-players').deepUnpack();
+
+        const [newest] = entries;
+        if (newest && newest[0] === pattern && newest[1] === (identity ?? '') &&
+            newest[2] === (desktopEntry ?? '') && now - newest[3] < TOUCH_INTERVAL) {
+            return;
+        }
+
+        const updated = [
+            [pattern, identity ?? '', desktopEntry ?? '', now],
+            ...entries.filter(([seenPattern]) => seenPattern !== pattern),
+        ].slice(0, PLAYER_HISTORY_SIZE);
+        this._settings.set_value('seen-players', new GLib.Variant('a(sssx)', updated));
+    }
+}
@@ -0,0 +1,131 @@
+import GLib from 'gi://GLib';
+
+import { shortBusName } from './mpris.js';
+
+/**
+ * Per-player rules read from the `player-rules` setting, along with the
+ * resume priority and exclusivity groups that match players the same way.
+ *
+ * Rules are checked in order and the first match wins. A pattern containing
+ * `*` or `?` is a glob, anything else is a prefix. Patterns may be written
+ * with or without the MPRIS bus-name prefix, or name the player's identity
+ * ("Spotify") or desktop entry ("firefox").
+ */
+export class PlayerRules {
+    /**
+     * `getAliases(busName)` returns other names (identity, desktop entry) the
+     * player can be matched by.
+     */
+    constructor(settings, getAliases) {
+        this._settings = settings;
+        this._getAliases = getAliases;
+        this._rules = [];
+        this._priority = [];
+        this._groups = [];
+        this._changedIds = [
+            'changed::player-rules',
+            'changed::resume-priority',
+            'changed::player-groups',
+        ].map(signal => this._settings.connect(signal, () => this._load()));
+        this._load();
+    }
+
+    _load() {
+        const rules = this._settings.get_value('player-rules').deepUnpack();
+        this._rules = rules
+            .filter(([pattern]) => pattern)
+            .map(([pattern, noAutoPause, noAutoResume, noTrigger]) => ({
+                pattern, noAutoPause, noAutoResume, noTrigger,
+            }));
+        this._priority = this._settings.get_strv('resume-priority').filter(pattern => pattern);
+        this._groups = this._settings.get_value('player-groups').deepUnpack()
+            .filter(([name]) => name)
+            .map(([name, patterns]) => ({ name, patterns: patterns.filter(pattern => pattern) }));
+    }
+
+    _matches(pattern, names) {
+        if (/[*?]/.test(pattern)) {
+            return names.some(name => GLib.pattern_match_simple(pattern, name));
+        }
+        return names.some(name => name.startsWith(pattern));
+    }
+
+    /**
+     * The names patterns are matched against.
+     */
+    _getNames(busName) {
+        return [
+            busName,
+            shortBusName(busName),
+            ...(this._getAliases?.(busName) ?? []),
+        ].filter(name => name);
+    }
+
+    /**
+     * Return the first rule matching the bus name (or the player's identity
+     * or desktop entry), or null.
+     */
+    lookup(busName) {
+        const names = this._getNames(busName);
+        return this._rules.find(rule => this._matches(rule.pattern, names)) ?? null;
+    }
+
+    /**
+     * Rank of the player in the resume-priority list; lower resumes first,
+     * and players matching no pattern rank last.
+     */
+    getPriority(busName) {
+        const names = this._getNames(busName);
+        const index = this._priority.findIndex(pattern => this._matches(pattern, names));
+        return index < 0 ? this._priority.length : index;
+    }
+
+    /**
+     * Name of the first exclusivity group with a pattern matching the
+     * player, or '' for the default group.
+     */
+    getGroup(busName) {
+        const names = this._getNames(busName);
+        const group = this._groups.find(({ patterns }) =>
+            patterns.some(pattern => this._matches(pattern, names)));
+        return group?.name ?? '';
+    }
+
+    /**
+     * Names of the configured exclusivity groups, in order.
+     */
+    getGroups() {
+        return this._groups.map(group => group.name);
+    }
+
+    /**
+     * Whether the player must never be auto-paused.
+     */
+    isExemptFromPause(busName) {
+        return this.lookup(busName)?.noAutoPause ?? false;
+    }
+
+    /**
+     * Whether the player must never be auto-resumed.
+     */
+    neverResumes(busName) {
+        return this.lookup(busName)?.noAutoResume ?? false;
+    }
+
+    /**
+     * Whether the player starting playback must not pause the others.
+     */
+    neverTriggers(busName) {
+        return this.lookup(busName)?.noTrigger ?? false;
+    }
+
+    destroy() {
+        for (const id of this._changedIds) {
+            this._settings.disconnect(id);
+        }
+        this._changedIds = [];
+        this._rules = [];
+        this._priority = [];
+        this._groups = [];
+    }
+}
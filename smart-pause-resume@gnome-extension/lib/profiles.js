@@ -0,0 +1,162 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Settings a profile can hold. Shortcuts, the sleep timer and UI settings
+ * stay out, so switching profiles only changes how players are handled.
+ */
+export const PROFILE_KEYS = [
+    'enabled',
+    'resume-delay',
+    'resume-policy',
+    'resume-max-age',
+    'resume-priority',
+    'resume-on-user-pause',
+    'resume-on-media-end',
+    'startup-policy',
+    'pause-mode',
+    'pause-fallback',
+    'duck-volume',
+    'fade-out-duration',
+    'fade-in-duration',
+    'rewind-amount',
+    'rewind-threshold',
+    'trigger-grace-period',
+    'min-trigger-length',
+    'trigger-unknown-length',
+    'audio-pauses-others',
+    'notify-on-auto-pause',
+    'notification-cooldown',
+    'pause-on-lock',
+    'pause-on-suspend',
+    'resume-after-unlock',
+    'pause-for-apps',
+    'focus-follows-playback',
+    'focus-follows-playback-delay',
+    'focus-follows-playback-apps',
+    'player-groups',
+    'player-rules',
+];
+
+/**
+ * Parse profiles from JSON, `{"name": {"setting-key": value}}`, keeping only
+ * the keys in PROFILE_KEYS. Throws if it is not shaped like that.
+ */
+export function parseProfiles(json) {
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Profiles must be a JSON object');
+    }
+
+    const profiles = {};
+    for (const [name, values] of Object.entries(parsed)) {
+        if (!name || !values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error(`Profile "${name}" must be a JSON object`);
+        }
+        profiles[name] = Object.fromEntries(
+            Object.entries(values).filter(([key]) => PROFILE_KEYS.includes(key))
+        );
+    }
+    return profiles;
+}
+
+/**
+ * Named sets of settings stored as JSON in the `profiles` setting. A profile
+ * only changes the keys it lists, so it can be partial.
+ */
+export class ProfileManager {
+    constructor(settings) {
+        this._settings = settings;
+    }
+
+    /**
+     * The profiles as `{name: {key: value}}`; an unreadable setting counts
+     * as no profiles.
+     */
+    getAll() {
+        try {
+            return parseProfiles(this._settings.get_string('profiles'));
+        } catch (e) {
+            console.error('[Smart Pause Resume] Invalid profiles setting', e);
+            return {};
+        }
+    }
+
+    getNames() {
+        return Object.keys(this.getAll());
+    }
+
+    getActive() {
+        return this._settings.get_string('active-profile');
+    }
+
+    _setAll(profiles) {
+        this._settings.set_string('profiles', JSON.stringify(profiles));
+    }
+
+    /**
+     * Save the current value of every profile key under `name`, replacing
+     * a profile of that name.
+     */
+    save(name) {
+        const values = {};
+        for (const key of PROFILE_KEYS) {
+            values[key] = this._settings.get_value(key).recursiveUnpack();
+        }
+        this._setAll({ ...this.getAll(), [name]: values });
+    }
+
+    remove(name) {
+        const profiles = this.getAll();
+        delete profiles[name];
+        this._setAll(profiles);
+        if (this.getActive() === name) this._settings.set_string('active-profile', '');
+    }
+
+    /**
+     * Switch to a profile. Values that do not fit their setting are skipped
+     * with a warning; all others change at once.
+     */
+    apply(name) {
+        const values = this.getAll()[name];
+        if (!values) return;
+
+        console.log(`[Smart Pause Resume] Switching to profile ${name}`);
+
+        // Batch the writes on a Settings object of our own: delay mode would
+        // otherwise hold back every later write through the shared one.
+        const batch = new Gio.Settings({
+            settings_schema: this._settings.settings_schema,
+            path: this._settings.path,
+        });
+        batch.delay();
+        for (const [key, value] of Object.entries(values)) {
+            const schemaKey = batch.settings_schema.get_key(key);
+            let variant = null;
+            try {
+                variant = new GLib.Variant(schemaKey.get_value_type().dup_string(), value);
+            } catch (e) {
+                // Not the setting's type; checked below.
+            }
+            if (!variant || !schemaKey.range_check(variant)) {
+                console.warn(`[Smart Pause Resume] Profile ${name}: invalid value for ${key}`);
+                continue;
+            }
+            batch.set_value(key, variant);
+        }
+        batch.set_string('active-profile', name);
+        batch.apply();
+    }
+
+    /**
+     * Add the profiles in `json`, replacing those with the same name. Throws
+     * if it cannot be parsed.
+     */
+    import(json) {
+        this._setAll({ ...this.getAll(), ...parseProfiles(json) });
+    }
+
+    export() {
+        return JSON.stringify(this.getAll(), null, 2);
+    }
+}
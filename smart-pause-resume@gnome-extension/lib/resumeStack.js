@@ -0,0 +1,99 @@
+/**
+ * Auto-resume policies, keyed by the resume-policy setting. Each picks the
+ * entry to resume from the stack entries (top first), or returns null to
+ * resume nothing.
+ */
+export const RESUME_POLICIES = {
+    lifo: entries => entries[0] ?? null,
+    never: () => null,
+    recent: (entries, { maxAge, now }) =>
+        entries.find(entry => now - entry.pausedAt <= maxAge) ?? null,
+    priority: (entries, { getPriority }) => entries.reduce((best, entry) =>
+        !best || getPriority(entry.busName) < getPriority(best.busName) ? entry : best, null),
+};
+
+/**
+ * Manages the LIFO stack of paused players for smart resume functionality.
+ *
+ * Each entry remembers when the player was paused (ms since the epoch).
+ */
+export class ResumeStack {
+    /**
+     * `onChanged(action, busName)` is called after every mutation, with
+     * action one of 'push', 'pop', 'remove', 'expire', 'restore' or 'clear'.
+     */
+    constructor(onChanged) {
+        this._stack = [];   // [{busName, pausedAt}], top first
+        this._onChanged = onChanged;
+    }
+
+    push(busName, pausedAt = Date.now()) {
+        this._stack = this._stack.filter(entry => entry.busName !== busName);
+        this._stack.unshift({ busName, pausedAt });
+        this._onChanged?.('push', busName);
+    }
+
+    /**
+     * Remove and return the `{busName, pausedAt}` entry for `busName`, or the
+     * top entry when omitted.
+     */
+    pop(busName = this._stack[0]?.busName) {
+        const index = this._stack.findIndex(entry => entry.busName === busName);
+        if (index < 0) return undefined;
+
+        const [entry] = this._stack.splice(index, 1);
+        this._onChanged?.('pop', entry.busName);
+        return entry;
+    }
+
+    remove(busName) {
+        const length = this._stack.length;
+        this._stack = this._stack.filter(entry => entry.busName !== busName);
+        if (this._stack.length !== length) this._onChanged?.('remove', busName);
+    }
+
+    /**
+     * Drop entries paused more than `maxAge` milliseconds before `now`.
+     */
+    expire(maxAge, now = Date.now()) {
+        const length = this._stack.length;
+        this._stack = this._stack.filter(entry => now - entry.pausedAt <= maxAge);
+        if (this._stack.length !== length) this._onChanged?.('expire', null);
+    }
+
+    isEmpty() {
+        return this._stack.length === 0;
+    }
+
+    /**
+     * Bus names in resume order, top of the stack first.
+     */
+    toArray() {
+        return this._stack.map(entry => entry.busName);
+    }
+
+    /**
+     * Copies of the `{busName, pausedAt}` entries, top first.
+     */
+    entries() {
+        return this._stack.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Add entries restored from a previous session below the current ones.
+     */
+    restore(entries) {
+        const known = new Set(this.toArray());
+        const restored = entries.filter(entry => !known.has(entry.busName));
+        if (restored.length === 0) return;
+
+        this._stack = [...this._stack, ...restored.map(entry => ({ ...entry }))];
+        this._onChanged?.('restore', null);
+    }
+
+    clear() {
+        const wasEmpty = this.isEmpty();
+        this._stack = [];
+        if (!wasEmpty) this._onChanged?.('clear', null);
+    }
+}
@@ -0,0 +1,64 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Saves the resume state to a JSON file under the user data directory, so it
+ * survives disable/enable cycles and Shell restarts.
+ */
+export class StateStore {
+    constructor() {
+        this._file = Gio.File.new_for_path(GLib.build_filenamev([
+            GLib.get_user_data_dir(), 'smart-pause-resume', 'state.json',
+        ]));
+    }
+
+    /**
+     * Read the saved state and pass it (or null) to `callback`.
+     */
+    load(callback) {
+        this._file.load_contents_async(null, (file, res) => {
+            let state = null;
+            try {
+                const [, contents] = file.load_contents_finish(res);
+                state = JSON.parse(new TextDecoder().decode(contents));
+            } catch (e) {
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.error('[Smart Pause Resume] Failed to load state', e);
+                }
+            }
+            callback(state);
+        });
+    }
+
+    /**
+     * Write the state; `callback` is called once it is written or failed.
+     */
+    save(state, callback = null) {
+        try {
+            this._file.get_parent().make_directory_with_parents(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                console.error('[Smart Pause Resume] Failed to create state directory', e);
+                callback?.();
+                return;
+            }
+        }
+
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(state)));
+        this._file.replace_contents_bytes_async(
+            bytes,
+            null,
+            false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION,
+            null,
+            (file, res) => {
+                try {
+                    file.replace_contents_finish(res);
+                } catch (e) {
+                    console.error('[Smart Pause Resume] Failed to save state', e);
+                }
+                callback?.();
+            }
+        );
+    }
+}
@@ -0,0 +1,32 @@
+import GLib from 'gi://GLib';
+
+/**
+ * Tracks GLib timeouts and ensures they are cleaned up on destroy.
+ */
+export class TimeoutManager {
+    constructor() {
+        this._timeouts = new Set();
+    }
+
+    add(delay, callback) {
+        const id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+            this._timeouts.delete(id);
+            return callback();
+        });
+        this._timeouts.add(id);
+        return id;
+    }
+
+    remove(id) {
+        if (this._timeouts.delete(id)) {
+            GLib.source_remove(id);
+        }
+    }
+
+    clear() {
+        for (const id of this._timeouts) {
+            GLib.source_remove(id);
+        }
+        this._timeouts.clear();
+    }
+}
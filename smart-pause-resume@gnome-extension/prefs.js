@@ -1,13 +1,1014 @@
 import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { DBUS_NAME, DBUS_PATH } from './lib/dbusService.js';
+import { MPRIS_PREFIX, shortBusName } from './lib/mpris.js';
+import { getPlayerPattern } from './lib/playerHistory.js';
+import { ProfileManager } from './lib/profiles.js';
+
+// Switches for the flags of a `player-rules` entry: title, subtitle and the
+// index of the flag in the (sbbb) tuple.
+const RULE_SWITCHES = [
+    ['Exempt from Auto-Pause', 'Never pause this player when another one starts playing', 1],
+    ['Never Auto-Resume', 'Do not resume this player after it was auto-paused', 2],
+    ['Does Not Pause Others', 'Starting playback in this player leaves other players alone', 3],
+];
+
+/**
+ * Keep a ComboRow listing `values` in sync with the string setting `key`,
+ * both ways, so switching profiles shows up on the row.
+ */
+function bindComboRow(settings, key, row, values) {
+    const sync = () => row.set_selected(Math.max(0, values.indexOf(settings.get_string(key))));
+    sync();
+    row.connect('notify::selected', () => {
+        const value = values[row.get_selected()];
+        if (value !== settings.get_string(key)) settings.set_string(key, value);
+    });
+    settings.connect(`changed::${key}`, sync);
+}
+
+/**
+ * Ask for a file with a save dialog and write `contents` to it.
+ */
+function saveToFile(parent, title, initialName, contents) {
+    const dialog = new Gtk.FileDialog({
+        title,
+        initial_name: initialName,
+    });
+    dialog.save(parent, null, (dlg, res) => {
+        let file;
+        try {
+            file = dlg.save_finish(res);
+        } catch (e) {
+            return; // Cancelled
+        }
+
+        const bytes = new GLib.Bytes(new TextEncoder().encode(contents));
+        file.replace_contents_bytes_async(
+            bytes,
+            null,
+            false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION,
+            null,
+            (f, result) => {
+                try {
+                    f.replace_contents_finish(result);
+                } catch (e) {
+                    console.error(`[Smart Pause Resume] Failed to write ${f.get_parse_name()}: ${e.message}`);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Add flat buttons, given as `[iconName, tooltip, sensitive, callback]`, to
+ * the end of a row.
+ */
+function addRowButtons(row, buttons) {
+    for (const [iconName, tooltip, sensitive, callback] of buttons) {
+        const button = new Gtk.Button({
+            icon_name: iconName,
+            tooltip_text: tooltip,
+            sensitive,
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        button.connect('clicked', callback);
+        row.add_suffix(button);
+    }
+}
+
+/**
+ * Preferences group editing an ordered list setting of type `type`, one
+ * expander row per item with buttons to move and remove it. Subclasses
+ * build the rows in `_createItemRow()` and new items in `_newItem()`.
+ */
+const ListSettingGroup = GObject.registerClass(
+    class ListSettingGroup extends Adw.PreferencesGroup {
+        constructor(settings, key, type, { addTooltip, removeTooltip, ...params }) {
+            super(params);
+
+            this._settings = settings;
+            this._key = key;
+            this._type = type;
+            this._removeTooltip = removeTooltip;
+            this._rows = [];
+
+            const addButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                tooltip_text: addTooltip,
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            addButton.connect('clicked', () => {
+                const items = this._getItems();
+                items.push(this._newItem(items));
+                this._setItems(items);
+            });
+            this.set_header_suffix(addButton);
+
+            this._settings.connect(`changed::${key}`, () => this._rebuild());
+            this._rebuild();
+        }
+
+        _getItems() {
+            return this._settings.get_value(this._key).deepUnpack();
+        }
+
+        _setItems(items) {
+            this._settings.set_value(this._key, new GLib.Variant(this._type, items));
+        }
+
+        _updateItem(index, update) {
+            const items = this._getItems();
+            items[index] = update(items[index]);
+            this._setItems(items);
+        }
+
+        _moveItem(index, offset) {
+            const items = this._getItems();
+            const target = index + offset;
+            if (target < 0 || target >= items.length) return;
+
+            [items[index], items[target]] = [items[target], items[index]];
+            this._setItems(items);
+        }
+
+        _removeItem(index) {
+            const items = this._getItems();
+            items.splice(index, 1);
+            this._setItems(items);
+        }
+
+        _rebuild() {
+            // Keep rows that were open expanded, so editing an item does not
+            // collapse it under the user.
+            const expanded = this._rows.map(row => row.get_expanded());
+            for (const row of this._rows) {
+                this.remove(row);
+            }
+            this._rows = [];
+
+            const items = this._getItems();
+            items.forEach((item, index) => {
+                const row = this._createItemRow(item, index);
+                addRowButtons(row, [
+                    ['go-up-symbolic', 'Move Up', index > 0, () => this._moveItem(index, -1)],
+                    ['go-down-symbolic', 'Move Down', index < items.length - 1, () => this._moveItem(index, 1)],
+                    ['user-trash-symbolic', this._removeTooltip, true, () => this._removeItem(index)],
+                ]);
+                if (expanded[index]) row.set_expanded(true);
+                this.add(row);
+                this._rows.push(row);
+            });
+        }
+    }
+);
+
+/**
+ * Preferences group for editing the ordered `player-rules` list.
+ */
+const PlayerRulesGroup = GObject.registerClass(
+    class PlayerRulesGroup extends ListSettingGroup {
+        constructor(settings) {
+            super(settings, 'player-rules', 'a(sbbb)', {
+                title: 'Player Rules',
+                description: 'Rules are matched in order against the MPRIS bus name, the player name ("Firefox") and its desktop entry ("firefox"); the first match wins. Use a prefix such as "spotify" or a glob such as "org.mpris.MediaPlayer2.chromium.*".',
+                addTooltip: 'Add Rule',
+                removeTooltip: 'Remove Rule',
+            });
+        }
+
+        _newItem() {
+            return ['', false, false, false];
+        }
+
+        _createItemRow([pattern, noAutoPause, noAutoResume, noTrigger], index) {
+            const row = new Adw.ExpanderRow({
+                title: GLib.markup_escape_text(pattern || 'New rule', -1),
+                subtitle: this._describeRule(noAutoPause, noAutoResume, noTrigger),
+                expanded: !pattern,
+            });
+
+            const patternRow = new Adw.EntryRow({
+                title: 'Bus name, player name or desktop entry (prefix or glob)',
+                text: pattern,
+                show_apply_button: true,
+            });
+            patternRow.connect('apply', () => {
+                this._updateItem(index, ([, ...flags]) => [patternRow.get_text().trim(), ...flags]);
+            });
+            row.add_row(patternRow);
+
+            const values = [pattern, noAutoPause, noAutoResume, noTrigger];
+            for (const [title, subtitle, field] of RULE_SWITCHES) {
+                const switchRow = new Adw.SwitchRow({
+                    title,
+                    subtitle,
+                    active: values[field],
+                });
+                switchRow.connect('notify::active', () => {
+                    this._updateItem(index, rule => {
+                        rule[field] = switchRow.get_active();
+                        return rule;
+                    });
+                });
+                row.add_row(switchRow);
+            }
+
+            return row;
+        }
+
+        _describeRule(noAutoPause, noAutoResume, noTrigger) {
+            const flags = [];
+            if (noAutoPause) flags.push('exempt from auto-pause');
+            if (noAutoResume) flags.push('never auto-resume');
+            if (noTrigger) flags.push('does not pause others');
+            return flags.length ? flags.join(', ') : 'No effect';
+        }
+    }
+);
+
+/**
+ * Preferences group for editing the ordered `player-groups` list.
+ */
+const PlayerGroupsGroup = GObject.registerClass(
+    class PlayerGroupsGroup extends ListSettingGroup {
+        constructor(settings) {
+            super(settings, 'player-groups', 'a(sas)', {
+                title: 'Exclusivity Groups',
+                description: 'A player starting playback only pauses players in its own group, and each group resumes on its own, so ambient sounds can keep playing under music or video. Players are matched like rules; the first matching group wins and the others share the default group.',
+                addTooltip: 'Add Group',
+                removeTooltip: 'Remove Group',
+            });
+        }
+
+        _newItem(groups) {
+            return [`Group ${groups.length + 1}`, []];
+        }
+
+        _createItemRow([name, patterns], index) {
+            const row = new Adw.ExpanderRow({
+                title: GLib.markup_escape_text(name || 'Unnamed group', -1),
+                subtitle: GLib.markup_escape_text(patterns.join(', ') || 'No players', -1),
+                expanded: patterns.length === 0,
+            });
+
+            const nameRow = new Adw.EntryRow({
+                title: 'Name',
+                text: name,
+                show_apply_button: true,
+            });
+            nameRow.connect('apply', () => {
+                this._updateItem(index, ([, groupPatterns]) =>
+                    [nameRow.get_text().trim(), groupPatterns]);
+            });
+            row.add_row(nameRow);
+
+            const patternsRow = new Adw.EntryRow({
+                title: 'Players (comma-separated prefixes or globs)',
+                text: patterns.join(', '),
+                show_apply_button: true,
+            });
+            patternsRow.connect('apply', () => {
+                const newPatterns = patternsRow.get_text().split(',')
+                    .map(pattern => pattern.trim())
+                    .filter(pattern => pattern);
+                this._updateItem(index, ([groupName]) => [groupName, newPatterns]);
+            });
+            row.add_row(patternsRow);
+
+            return row;
+        }
+    }
+);
+
+/**
+ * Preferences page for the per-player rules and the exclusivity groups.
+ */
+const RulesPage = GObject.registerClass(
+    class RulesPage extends Adw.PreferencesPage {
+        constructor(settings) {
+            super({
+                title: 'Rules',
+                icon_name: 'view-list-symbolic',
+            });
+
+            this.add(new PlayerRulesGroup(settings));
+            this.add(new PlayerGroupsGroup(settings));
+        }
+    }
+);
+
+/**
+ * Dialog listing the installed apps with a search entry; `onChosen(appInfo)`
+ * is called with the app the user picks.
+ */
+const AppChooserDialog = GObject.registerClass(
+    class AppChooserDialog extends Adw.Window {
+        constructor(parent, onChosen) {
+            super({
+                modal: true,
+                transient_for: parent,
+                default_width: 400,
+                default_height: 500,
+                title: 'Choose an App',
+            });
+
+            const searchEntry = new Gtk.SearchEntry({
+                placeholder_text: 'Search apps',
+                margin_top: 6,
+                margin_bottom: 6,
+                margin_start: 6,
+                margin_end: 6,
+            });
+
+            const listBox = new Gtk.ListBox({
+                selection_mode: Gtk.SelectionMode.NONE,
+                css_classes: ['boxed-list'],
+                margin_top: 6,
+                margin_bottom: 12,
+                margin_start: 12,
+                margin_end: 12,
+            });
+
+            const apps = Gio.AppInfo.get_all()
+                .filter(appInfo => appInfo.should_show())
+                .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+            for (const appInfo of apps) {
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(appInfo.get_display_name(), -1),
+                    subtitle: appInfo.get_id(),
+                    activatable: true,
+                });
+                row.add_prefix(new Gtk.Image({
+                    gicon: appInfo.get_icon() ?? Gio.ThemedIcon.new('application-x-executable'),
+                    pixel_size: 32,
+                }));
+                row.connect('activated', () => {
+                    onChosen(appInfo);
+                    this.close();
+                });
+                row._searchText = `${appInfo.get_display_name()} ${appInfo.get_id()}`.toLowerCase();
+                listBox.append(row);
+            }
+
+            listBox.set_filter_func(row => {
+                const text = searchEntry.get_text().toLowerCase();
+                return !text || row._searchText.includes(text);
+            });
+            searchEntry.connect('search-changed', () => listBox.invalidate_filter());
+
+            const toolbarView = new Adw.ToolbarView({
+                content: new Gtk.ScrolledWindow({
+                    hscrollbar_policy: Gtk.PolicyType.NEVER,
+                    vexpand: true,
+                    child: listBox,
+                }),
+            });
+            toolbarView.add_top_bar(new Adw.HeaderBar());
+            toolbarView.add_top_bar(searchEntry);
+            this.set_content(toolbarView);
+        }
+    }
+);
+
+/**
+ * Preferences group editing a list of desktop app IDs stored in `key`.
+ */
+const AppListGroup = GObject.registerClass(
+    class AppListGroup extends Adw.PreferencesGroup {
+        constructor(settings, key, params) {
+            super(params);
+
+            this._settings = settings;
+            this._key = key;
+            this._rows = [];
+
+            const addButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                tooltip_text: 'Add App',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            addButton.connect('clicked', () => {
+                new AppChooserDialog(this.get_root(), appInfo => {
+                    const appIds = this._settings.get_strv(this._key);
+                    if (appIds.includes(appInfo.get_id())) return;
+                    this._settings.set_strv(this._key, [...appIds, appInfo.get_id()]);
+                }).present();
+            });
+            this.set_header_suffix(addButton);
+
+            this._settings.connect(`changed::${key}`, () => this._rebuild());
+            this._rebuild();
+        }
+
+        _rebuild() {
+            for (const row of this._rows) {
+                this.remove(row);
+            }
+            this._rows = [];
+
+            for (const appId of this._settings.get_strv(this._key)) {
+                const row = this._createAppRow(appId);
+                this.add(row);
+                this._rows.push(row);
+            }
+        }
+
+        _createAppRow(appId) {
+            // Apps that are no longer installed still show, by their ID.
+            const appInfo = Gio.DesktopAppInfo.new(appId);
+            const row = new Adw.ActionRow({
+                title: GLib.markup_escape_text(appInfo?.get_display_name() ?? appId, -1),
+                subtitle: appId,
+            });
+            row.add_prefix(new Gtk.Image({
+                gicon: appInfo?.get_icon() ?? Gio.ThemedIcon.new('application-x-executable'),
+                pixel_size: 32,
+            }));
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                tooltip_text: 'Remove App',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            removeButton.connect('clicked', () => {
+                const appIds = this._settings.get_strv(this._key);
+                this._settings.set_strv(this._key, appIds.filter(id => id !== appId));
+            });
+            row.add_suffix(removeButton);
+
+            return row;
+        }
+    }
+);
+
+/**
+ * Row showing the accelerator stored in an `as` keybinding setting. Clicking
+ * it captures a new shortcut; the clear button removes it.
+ */
+const ShortcutRow = GObject.registerClass(
+    class ShortcutRow extends Adw.ActionRow {
+        constructor(settings, key, title) {
+            super({
+                title,
+                activatable: true,
+            });
+
+            this._settings = settings;
+            this._key = key;
+
+            this._shortcutLabel = new Gtk.ShortcutLabel({
+                disabled_text: 'Disabled',
+                valign: Gtk.Align.CENTER,
+            });
+            this.add_suffix(this._shortcutLabel);
+
+            const clearButton = new Gtk.Button({
+                icon_name: 'edit-clear-symbolic',
+                tooltip_text: 'Disable Shortcut',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            clearButton.connect('clicked', () => this._settings.set_strv(this._key, []));
+            this.add_suffix(clearButton);
+
+            this.connect('activated', () => this._capture());
+            this._settings.connect(`changed::${key}`, () => this._sync());
+            this._sync();
+        }
+
+        _sync() {
+            const [accelerator = ''] = this._settings.get_strv(this._key);
+            this._shortcutLabel.set_accelerator(accelerator);
+        }
+
+        _capture() {
+            const dialog = new Adw.Window({
+                modal: true,
+                transient_for: this.get_root(),
+                default_width: 400,
+                title: this.get_title(),
+                content: new Adw.StatusPage({
+                    icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+                    title: 'Press a Shortcut',
+                    description: 'Press Escape to cancel or Backspace to disable the shortcut.',
+                }),
+            });
+
+            const controller = new Gtk.EventControllerKey();
+            controller.connect('key-pressed', (ctrl, keyval, keycode, state) => {
+                const mask = state & Gtk.accelerator_get_default_mod_mask();
+                keyval = Gdk.keyval_to_lower(keyval);
+
+                if (mask === 0 && keyval === Gdk.KEY_Escape) {
+                    dialog.close();
+                    return Gdk.EVENT_STOP;
+                }
+                if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+                    this._settings.set_strv(this._key, []);
+                    dialog.close();
+                    return Gdk.EVENT_STOP;
+                }
+                if (!Gtk.accelerator_valid(keyval, mask)) return Gdk.EVENT_STOP;
+
+                const accelerator = Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask);
+                this._settings.set_strv(this._key, [accelerator]);
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            });
+            dialog.add_controller(controller);
+            dialog.present();
+        }
+    }
+);
+
+/**
+ * Preferences page listing the players on the session bus and the ones the
+ * extension has seen before. Each row's switches edit the player's rule,
+ * so nobody has to look up bus names to write one.
+ */
+const PlayersPage = GObject.registerClass(
+    class PlayersPage extends Adw.PreferencesPage {
+        constructor(settings) {
+            super({
+                title: 'Players',
+                icon_name: 'audio-x-generic-symbolic',
+            });
+
+            this._settings = settings;
+            this._livePlayers = []; // [{busName, identity, desktopEntry}]
+            this._expanded = new Set(); // keys of the rows left open
+            this._liveRows = [];
+            this._historyRows = [];
+
+            this._liveGroup = new Adw.PreferencesGroup({
+                title: 'Running Players',
+                description: 'MPRIS players on the session bus right now. The switches add or change a rule for the player, listed first on the Rules page.',
+            });
+            this.add(this._liveGroup);
+
+            const refreshButton = new Gtk.Button({
+                icon_name: 'view-refresh-symbolic',
+                tooltip_text: 'Refresh',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            refreshButton.connect('clicked', () => this._refresh());
+            this._liveGroup.set_header_suffix(refreshButton);
+
+            this._historyGroup = new Adw.PreferencesGroup({
+                title: 'Recently Seen',
+                description: 'Players the extension has seen, most recent first, including ones that are not running.',
+            });
+            this.add(this._historyGroup);
+
+            const clearButton = new Gtk.Button({
+                icon_name: 'edit-clear-all-symbolic',
+                tooltip_text: 'Clear History',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            clearButton.connect('clicked', () => {
+                this._settings.set_value('seen-players', new GLib.Variant('a(sssx)', []));
+            });
+            this._historyGroup.set_header_suffix(clearButton);
+
+            this._settings.connect('changed::player-rules', () => this._rebuild());
+            this._settings.connect('changed::seen-players', () => this._rebuild());
+            this._refresh();
+        }
+
+        /**
+         * List the MPRIS names on the session bus and read their identities.
+         */
+        _refresh() {
+            Gio.DBus.session.call(
+                'org.freedesktop.DBus',
+                '/org/freedesktop/DBus',
+                'org.freedesktop.DBus',
+                'ListNames',
+                null,
+                new GLib.VariantType('(as)'),
+                Gio.DBusCallFlags.NONE,
+                -1,
+                null,
+                (conn, res) => {
+                    let names = [];
+                    try {
+                        [names] = conn.call_finish(res).deepUnpack();
+                    } catch (e) {
+                        console.error('[Smart Pause Resume] Failed to list players', e);
+                    }
+
+                    const busNames = names.filter(name => name.startsWith(MPRIS_PREFIX)).sort();
+                    const players = [];
+                    let pending = busNames.length;
+                    if (pending === 0) this._showLivePlayers(players);
+                    for (const busName of busNames) {
+                        this._readPlayerInfo(busName, info => {
+                            players.push(info);
+                            if (--pending === 0) this._showLivePlayers(players);
+                        });
+                    }
+                }
+            );
+        }
+
+        _readPlayerInfo(busName, callback) {
+            Gio.DBus.session.call(
+                busName,
+                '/org/mpris/MediaPlayer2',
+                'org.freedesktop.DBus.Properties',
+                'GetAll',
+                new GLib.Variant('(s)', ['org.mpris.MediaPlayer2']),
+                new GLib.VariantType('(a{sv})'),
+                Gio.DBusCallFlags.NONE,
+                1000,
+                null,
+                (conn, res) => {
+                    let properties = {};
+                    try {
+                        [properties] = conn.call_finish(res).recursiveUnpack();
+                    } catch (e) {
+                        // Listed by bus name only.
+                    }
+                    callback({
+                        busName,
+                        identity: properties.Identity ?? '',
+                        desktopEntry: properties.DesktopEntry ?? '',
+                    });
+                }
+            );
+        }
+
+        _showLivePlayers(players) {
+            this._livePlayers = players.sort((a, b) => a.busName.localeCompare(b.busName));
+            this._rebuild();
+        }
+
+        _rebuild() {
+            for (const row of this._liveRows) {
+                this._liveGroup.remove(row);
+            }
+            for (const row of this._historyRows) {
+                this._historyGroup.remove(row);
+            }
+            this._liveRows = [];
+            this._historyRows = [];
+
+            for (const { busName, identity, desktopEntry } of this._livePlayers) {
+                this._addRow(this._liveGroup, this._liveRows, this._createPlayerRow(
+                    `live:${busName}`,
+                    getPlayerPattern(busName),
+                    identity,
+                    shortBusName(busName),
+                    desktopEntry
+                ));
+            }
+            if (this._livePlayers.length === 0) {
+                this._addRow(this._liveGroup, this._liveRows,
+                    new Adw.ActionRow({ title: 'No players are running.' }));
+            }
+
+            const seen = this._settings.get_value('seen-players').deepUnpack();
+            for (const [pattern, identity, desktopEntry, lastSeen] of seen) {
+                const date = GLib.DateTime.new_from_unix_local(lastSeen / 1000);
+                this._addRow(this._historyGroup, this._historyRows, this._createPlayerRow(
+                    `seen:${pattern}`,
+                    pattern,
+                    identity,
+                    `${pattern} · last seen ${date.format('%x %H:%M')}`,
+                    desktopEntry
+                ));
+            }
+            if (seen.length === 0) {
+                this._addRow(this._historyGroup, this._historyRows,
+                    new Adw.ActionRow({ title: 'No players seen yet.' }));
+            }
+        }
+
+        _addRow(group, rows, row) {
+            group.add(row);
+            rows.push(row);
+        }
+
+        _createPlayerRow(key, pattern, identity, subtitle, desktopEntry) {
+            const row = new Adw.ExpanderRow({
+                title: GLib.markup_escape_text(identity || pattern, -1),
+                subtitle: GLib.markup_escape_text(subtitle, -1),
+                expanded: this._expanded.has(key),
+            });
+            row.connect('notify::expanded', () => {
+                if (row.get_expanded()) {
+                    this._expanded.add(key);
+                } else {
+                    this._expanded.delete(key);
+                }
+            });
+
+            const appInfo = desktopEntry ? Gio.DesktopAppInfo.new(`${desktopEntry}.desktop`) : null;
+            row.add_prefix(new Gtk.Image({
+                gicon: appInfo?.get_icon() ?? Gio.ThemedIcon.new('audio-x-generic-symbolic'),
+                pixel_size: 32,
+            }));
+
+            const rule = this._getRule(pattern);
+            for (const [title, switchSubtitle, field] of RULE_SWITCHES) {
+                const switchRow = new Adw.SwitchRow({
+                    title,
+                    subtitle: switchSubtitle,
+                    active: rule[field],
+                });
+                switchRow.connect('notify::active', () => {
+                    this._setRuleFlag(pattern, field, switchRow.get_active());
+                });
+                row.add_row(switchRow);
+            }
+
+            return row;
+        }
+
+        /**
+         * The rule whose pattern is exactly `pattern`, or one with no flags.
+         */
+        _getRule(pattern) {
+            const rules = this._settings.get_value('player-rules').deepUnpack();
+            return rules.find(([rulePattern]) => rulePattern === pattern) ??
+                [pattern, false, false, false];
+        }
+
+        /**
+         * Set one flag of the player's rule. A new rule goes first so no
+         * broader rule shadows it; a rule left without flags is removed.
+         */
+        _setRuleFlag(pattern, field, active) {
+            const rules = this._settings.get_value('player-rules').deepUnpack();
+            let index = rules.findIndex(([rulePattern]) => rulePattern === pattern);
+            if (index < 0) {
+                if (!active) return;
+                rules.unshift([pattern, false, false, false]);
+                index = 0;
+            }
+
+            rules[index][field] = active;
+            if (!rules[index].slice(1).some(flag => flag)) rules.splice(index, 1);
+            this._settings.set_value('player-rules', new GLib.Variant('a(sbbb)', rules));
+        }
+    }
+);
+
+/**
+ * Preferences page for saving, switching, importing and exporting the
+ * named profiles in the `profiles` setting.
+ */
+const ProfilesPage = GObject.registerClass(
+    class ProfilesPage extends Adw.PreferencesPage {
+        constructor(settings) {
+            super({
+                title: 'Profiles',
+                icon_name: 'view-paged-symbolic',
+            });
+
+            this._settings = settings;
+            this._profiles = new ProfileManager(settings);
+            this._rows = [];
+
+            this._group = new Adw.PreferencesGroup({
+                title: 'Profiles',
+                description: 'Named sets of settings, such as the resume policy, the rules and the apps that pause playback. Switch between them here or from Quick Settings.',
+            });
+            this.add(this._group);
+
+            const buttons = new Gtk.Box({ spacing: 6 });
+            const importButton = new Gtk.Button({
+                icon_name: 'document-open-symbolic',
+                tooltip_text: 'Import from JSON',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            importButton.connect('clicked', () => this._import());
+            buttons.append(importButton);
+
+            const exportButton = new Gtk.Button({
+                icon_name: 'document-save-symbolic',
+                tooltip_text: 'Export as JSON',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            exportButton.connect('clicked', () => this._export());
+            buttons.append(exportButton);
+            this._group.set_header_suffix(buttons);
+
+            const newGroup = new Adw.PreferencesGroup();
+            this.add(newGroup);
+
+            const newRow = new Adw.EntryRow({
+                title: 'Save current settings as a new profile',
+                show_apply_button: true,
+            });
+            newRow.connect('apply', () => {
+                const name = newRow.get_text().trim();
+                if (!name) return;
+                this._profiles.save(name);
+                newRow.set_text('');
+            });
+            newGroup.add(newRow);
+
+            this._settings.connect('changed::profiles', () => this._rebuild());
+            this._settings.connect('changed::active-profile', () => this._rebuild());
+            this._rebuild();
+        }
+
+        _rebuild() {
+            for (const row of this._rows) {
+                this._group.remove(row);
+            }
+            this._rows = [];
+
+            const profiles = this._profiles.getAll();
+            const active = this._profiles.getActive();
+            for (const [name, values] of Object.entries(profiles)) {
+                const count = Object.keys(values).length;
+                const subtitle = `${count} ${count === 1 ? 'setting' : 'settings'}`;
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(name, -1),
+                    subtitle: name === active ? `${subtitle} · current` : subtitle,
+                });
+
+                addRowButtons(row, [
+                    ['object-select-symbolic', 'Switch to Profile', true, () => this._profiles.apply(name)],
+                    ['document-save-symbolic', 'Save Current Settings', true, () => this._profiles.save(name)],
+                    ['user-trash-symbolic', 'Remove Profile', true, () => this._profiles.remove(name)],
+                ]);
+
+                this._group.add(row);
+                this._rows.push(row);
+            }
+
+            if (this._rows.length === 0) {
+                const row = new Adw.ActionRow({ title: 'No profiles saved yet.' });
+                this._group.add(row);
+                this._rows.push(row);
+            }
+        }
+
+        _import() {
+            const dialog = new Gtk.FileDialog({ title: 'Import Profiles' });
+            dialog.open(this.get_root(), null, (dlg, res) => {
+                let file;
+                try {
+                    file = dlg.open_finish(res);
+                } catch (e) {
+                    return; // Cancelled
+                }
+
+                file.load_contents_async(null, (f, result) => {
+                    try {
+                        const [, contents] = f.load_contents_finish(result);
+                        this._profiles.import(new TextDecoder().decode(contents));
+                    } catch (e) {
+                        console.error(`[Smart Pause Resume] Failed to import profiles: ${e.message}`);
+                        this.get_root().add_toast(new Adw.Toast({
+                            title: `Could not import profiles: ${e.message}`,
+                        }));
+                    }
+                });
+            });
+        }
+
+        _export() {
+            saveToFile(this.get_root(), 'Export Profiles',
+                'smart-pause-resume-profiles.json', this._profiles.export());
+        }
+    }
+);
+
+/**
+ * Preferences page listing the extension's event log, fetched over D-Bus
+ * from the running extension.
+ */
+const DiagnosticsPage = GObject.registerClass(
+    class DiagnosticsPage extends Adw.PreferencesPage {
+        constructor() {
+            super({
+                title: 'Diagnostics',
+                icon_name: 'utilities-terminal-symbolic',
+            });
+
+            this._entries = [];
+            this._rows = [];
+
+            this._group = new Adw.PreferencesGroup({
+                title: 'Event Log',
+                description: 'Recent player events and the decisions taken on them, newest first. Attach an export when reporting a bug.',
+            });
+            this.add(this._group);
+
+            const buttons = new Gtk.Box({ spacing: 6 });
+            const refreshButton = new Gtk.Button({
+                icon_name: 'view-refresh-symbolic',
+                tooltip_text: 'Refresh',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            refreshButton.connect('clicked', () => this._refresh());
+            buttons.append(refreshButton);
+
+            this._exportButton = new Gtk.Button({
+                icon_name: 'document-save-symbolic',
+                tooltip_text: 'Export as JSON',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            this._exportButton.connect('clicked', () => this._export());
+            buttons.append(this._exportButton);
+            this._group.set_header_suffix(buttons);
+
+            this._refresh();
+        }
+
+        _refresh() {
+            Gio.DBus.session.call(
+                DBUS_NAME,
+                DBUS_PATH,
+                DBUS_NAME,
+                'GetEventLog',
+                null,
+                new GLib.VariantType('(s)'),
+                Gio.DBusCallFlags.NONE,
+                -1,
+                null,
+                (conn, res) => {
+                    try {
+                        const [json] = conn.call_finish(res).deepUnpack();
+                        this._show(JSON.parse(json), null);
+                    } catch (e) {
+                        this._show([], 'The event log is only available while the extension is running.');
+                    }
+                }
+            );
+        }
+
+        _show(entries, message) {
+            this._entries = entries;
+            this._exportButton.set_sensitive(entries.length > 0);
+
+            for (const row of this._rows) {
+                this._group.remove(row);
+            }
+            this._rows = [];
+
+            if (message || entries.length === 0) {
+                this._addRow(new Adw.ActionRow({
+                    title: message ?? 'No events recorded yet.',
+                }));
+                return;
+            }
+
+            for (const entry of [...entries].reverse()) {
+                const { time, type, busName, ...details } = entry;
+                const date = GLib.DateTime.new_from_unix_local(time / 1000);
+                const player = busName && shortBusName(busName);
+                const title = [date.format('%H:%M:%S'), type, player].filter(Boolean).join('  ');
+                this._addRow(new Adw.ActionRow({
+                    title: GLib.markup_escape_text(title, -1),
+                    subtitle: GLib.markup_escape_text(JSON.stringify(details), -1),
+                    subtitle_selectable: true,
+                }));
+            }
+        }
+
+        _addRow(row) {
+            this._group.add(row);
+            this._rows.push(row);
+        }
+
+        _export() {
+            saveToFile(this.get_root(), 'Export Event Log',
+                'smart-pause-resume-events.json', JSON.stringify(this._entries, null, 2));
+        }
+    }
+);
+
 export default class SmartPauseResumePreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
 
-        const page = new Adw.PreferencesPage();
+        const page = new Adw.PreferencesPage({
+            title: 'General',
+            icon_name: 'preferences-system-symbolic',
+        });
         window.add(page);
 
         const group = new Adw.PreferencesGroup();
@@ -53,6 +1054,409 @@ export default class SmartPauseResumePreferences extends ExtensionPreferences {
             Gio.SettingsBindFlags.DEFAULT
         );
         group.add(delayRow);
+
+        // Pause mode
+        const pauseModes = ['pause', 'duck'];
+        const pauseModeRow = new Adw.ComboRow({
+            title: 'When Another Player Starts',
+            subtitle: 'Pause the other players, or only lower their volume. Players that do not support volume control are always paused.',
+            model: Gtk.StringList.new(['Pause them', 'Lower their volume']),
+        });
+        bindComboRow(settings, 'pause-mode', pauseModeRow, pauseModes);
+        group.add(pauseModeRow);
+
+        // Players that cannot pause
+        const pauseFallbacks = ['mute', 'stop', 'none'];
+        const pauseFallbackRow = new Adw.ComboRow({
+            title: 'Players That Cannot Pause',
+            subtitle: 'Some players refuse to be paused by other apps. Players that cannot be played again are never resumed automatically.',
+            model: Gtk.StringList.new(['Mute them', 'Stop them', 'Leave them playing']),
+        });
+        bindComboRow(settings, 'pause-fallback', pauseFallbackRow, pauseFallbacks);
+        group.add(pauseFallbackRow);
+
+        // Ducked volume
+        const duckVolumeRow = new Adw.SpinRow({
+            title: 'Lowered Volume',
+            subtitle: 'Volume (in percent) other players are lowered to while another one plays.',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 100,
+                step_increment: 5,
+                page_increment: 10,
+                value: settings.get_int('duck-volume'),
+            }),
+        });
+        settings.bind(
+            'duck-volume',
+            duckVolumeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        const syncDuckVolumeRow = () => {
+            duckVolumeRow.set_sensitive(settings.get_string('pause-mode') === 'duck');
+        };
+        settings.connect('changed::pause-mode', syncDuckVolumeRow);
+        syncDuckVolumeRow();
+        group.add(duckVolumeRow);
+
+        // Fade durations
+        const fadeRows = [
+            ['fade-out-duration', 'Fade-Out Duration', 'Time (in milliseconds) to gradually lower the volume before auto-pausing a player. Set to 0 to pause instantly.'],
+            ['fade-in-duration', 'Fade-In Duration', 'Time (in milliseconds) to gradually raise the volume after auto-resuming a player. Set to 0 to resume at full volume instantly.'],
+        ];
+        for (const [key, title, subtitle] of fadeRows) {
+            const fadeRow = new Adw.SpinRow({
+                title,
+                subtitle,
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 5000,
+                    step_increment: 100,
+                    page_increment: 500,
+                    value: settings.get_int(key),
+                }),
+            });
+            settings.bind(key, fadeRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+            group.add(fadeRow);
+        }
+
+        // Restored stack age
+        const stateAgeRow = new Adw.SpinRow({
+            title: 'Remember Paused Players',
+            subtitle: 'How long (in minutes) paused players are remembered across disabling the extension, screen locks and Shell restarts. Set to 0 to forget them.',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 10080,
+                step_increment: 5,
+                page_increment: 60,
+                value: settings.get_int('state-max-age'),
+            }),
+        });
+        settings.bind(
+            'state-max-age',
+            stateAgeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        group.add(stateAgeRow);
+
+        // Rewind after long pauses
+        const rewindRows = [
+            ['rewind-amount', 'Rewind on Resume', 'Seconds to rewind when auto-resuming a player after a long pause, so you do not lose the thread of a podcast or audiobook. Set to 0 to never rewind.', 120, 5],
+            ['rewind-threshold', 'Long Pause', 'How long (in seconds) a player must have been paused before it is rewound on resume.', 86400, 60],
+        ];
+        for (const [key, title, subtitle, upper, step] of rewindRows) {
+            const rewindRow = new Adw.SpinRow({
+                title,
+                subtitle,
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper,
+                    step_increment: step,
+                    page_increment: step * 4,
+                    value: settings.get_int(key),
+                }),
+            });
+            settings.bind(key, rewindRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+            group.add(rewindRow);
+        }
+
+        // Resume policy
+        const resumeGroup = new Adw.PreferencesGroup({
+            title: 'Resuming',
+            description: 'Decide which paused player comes back when the one playing stops.',
+        });
+        page.add(resumeGroup);
+
+        const resumeWhenRows = [
+            ['resume-on-user-pause', 'Resume When You Pause', 'Bring back the previous player when you pause or stop the one playing in the middle of its media.'],
+            ['resume-on-media-end', 'Resume When Media Finishes', 'Bring back the previous player when the one playing reaches the end of its video or playlist.'],
+        ];
+        for (const [key, title, subtitle] of resumeWhenRows) {
+            const resumeWhenRow = new Adw.SwitchRow({ title, subtitle });
+            settings.bind(key, resumeWhenRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+            resumeGroup.add(resumeWhenRow);
+        }
+
+        const resumePolicies = ['lifo', 'never', 'recent', 'priority'];
+        const resumePolicyRow = new Adw.ComboRow({
+            title: 'Resume Policy',
+            subtitle: 'Players can always be resumed by hand from the menu or with a shortcut.',
+            model: Gtk.StringList.new([
+                'Most recently paused',
+                'Never resume automatically',
+                'Most recently paused, if recent',
+                'By priority',
+            ]),
+        });
+        bindComboRow(settings, 'resume-policy', resumePolicyRow, resumePolicies);
+        resumeGroup.add(resumePolicyRow);
+
+        const resumeAgeRow = new Adw.SpinRow({
+            title: 'Forget Paused Players After',
+            subtitle: 'Minutes after which a paused player is dropped from the resume stack instead of springing back to life.',
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 1440,
+                step_increment: 5,
+                page_increment: 30,
+                value: settings.get_int('resume-max-age'),
+            }),
+        });
+        settings.bind('resume-max-age', resumeAgeRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        resumeGroup.add(resumeAgeRow);
+
+        const priorityRow = new Adw.EntryRow({
+            title: 'Priority (comma-separated players, highest first)',
+            text: settings.get_strv('resume-priority').join(', '),
+            show_apply_button: true,
+        });
+        priorityRow.connect('apply', () => {
+            const patterns = priorityRow.get_text().split(',')
+                .map(pattern => pattern.trim())
+                .filter(pattern => pattern);
+            settings.set_strv('resume-priority', patterns);
+        });
+        settings.connect('changed::resume-priority', () => {
+            priorityRow.set_text(settings.get_strv('resume-priority').join(', '));
+        });
+        resumeGroup.add(priorityRow);
+
+        // The priority list also picks the player kept playing at startup.
+        const syncResumeRows = () => {
+            const policy = settings.get_string('resume-policy');
+            const startupPolicy = settings.get_string('startup-policy');
+            resumeAgeRow.set_sensitive(policy === 'recent');
+            priorityRow.set_sensitive(policy === 'priority' ||
+                startupPolicy === 'focused' || startupPolicy === 'priority');
+        };
+        settings.connect('changed::resume-policy', syncResumeRows);
+        settings.connect('changed::startup-policy', syncResumeRows);
+        syncResumeRows();
+
+        // Triggering
+        const triggerGroup = new Adw.PreferencesGroup({
+            title: 'Pausing Others',
+            description: 'Decide which media is allowed to pause the other players.',
+        });
+        page.add(triggerGroup);
+
+        const triggerSpinRows = [
+            ['trigger-grace-period', 'Grace Period', 'Time (in milliseconds) a player has to keep playing before the others are paused. Clips that stop sooner never interrupt anything.', 10000, 100],
+            ['min-trigger-length', 'Minimum Media Length', 'Media shorter than this many seconds, such as autoplay previews, does not pause other players. Set to 0 to disable.', 3600, 5],
+        ];
+        for (const [key, title, subtitle, upper, step] of triggerSpinRows) {
+            const triggerRow = new Adw.SpinRow({
+                title,
+                subtitle,
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper,
+                    step_increment: step,
+                    page_increment: step * 10,
+                    value: settings.get_int(key),
+                }),
+            });
+            settings.bind(key, triggerRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+            triggerGroup.add(triggerRow);
+        }
+
+        const triggerSwitchRows = [
+            ['trigger-unknown-length', 'Media of Unknown Length Pauses Others', 'Live streams and some browser players do not report a length.'],
+            ['audio-pauses-others', 'Music Pauses Others', 'Turn off so that only video (and media that cannot be recognized) pauses other players.'],
+        ];
+        for (const [key, title, subtitle] of triggerSwitchRows) {
+            const triggerRow = new Adw.SwitchRow({ title, subtitle });
+            settings.bind(key, triggerRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+            triggerGroup.add(triggerRow);
+        }
+
+        const startupPolicies = ['focused', 'priority', 'pause-all', 'ignore'];
+        const startupPolicyRow = new Adw.ComboRow({
+            title: 'Players Already Playing at Startup',
+            subtitle: 'Which one keeps playing when the extension starts; the others are paused and can be resumed later.',
+            model: Gtk.StringList.new([
+                'The focused app, then by priority',
+                'By priority',
+                'Pause all of them',
+                'Leave them alone',
+            ]),
+        });
+        bindComboRow(settings, 'startup-policy', startupPolicyRow, startupPolicies);
+        triggerGroup.add(startupPolicyRow);
+
+        // Notifications
+        const notifyGroup = new Adw.PreferencesGroup({
+            title: 'Notifications',
+        });
+        page.add(notifyGroup);
+
+        const notifyRow = new Adw.SwitchRow({
+            title: 'Notify on Auto-Pause',
+            subtitle: 'Show which players were paused, with actions to undo it or let both play.',
+        });
+        settings.bind('notify-on-auto-pause', notifyRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        notifyGroup.add(notifyRow);
+
+        const cooldownRow = new Adw.SpinRow({
+            title: 'Minimum Interval',
+            subtitle: 'Time (in seconds) that must pass between two notifications.',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 3600,
+                step_increment: 5,
+                page_increment: 60,
+                value: settings.get_int('notification-cooldown'),
+            }),
+        });
+        settings.bind('notification-cooldown', cooldownRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        settings.bind('notify-on-auto-pause', cooldownRow, 'sensitive', Gio.SettingsBindFlags.GET);
+        notifyGroup.add(cooldownRow);
+
+        // Screen lock and suspend
+        const lockGroup = new Adw.PreferencesGroup({
+            title: 'Screen Lock and Suspend',
+        });
+        page.add(lockGroup);
+
+        const lockRows = [
+            ['pause-on-lock', 'Pause on Screen Lock', 'Pause all players when the screen locks.'],
+            ['pause-on-suspend', 'Pause on Suspend', 'Pause all players before the system goes to sleep.'],
+            ['resume-after-unlock', 'Resume Afterwards', 'Resume the player that was playing once the screen is unlocked and the system is awake again.'],
+        ];
+        for (const [key, title, subtitle] of lockRows) {
+            const lockRow = new Adw.SwitchRow({ title, subtitle });
+            settings.bind(key, lockRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+            lockGroup.add(lockRow);
+        }
+
+        // Sleep timer
+        const sleepGroup = new Adw.PreferencesGroup({
+            title: 'Sleep Timer',
+            description: 'When the timer runs out, the volume is lowered, every player is paused and nothing is resumed afterwards. 15, 30 and 60 minute timers can also be started from Quick Settings.',
+        });
+        page.add(sleepGroup);
+
+        const sleepRow = new Adw.ActionRow({ title: 'Sleep Timer' });
+        const sleepButton = new Gtk.Button({ valign: Gtk.Align.CENTER });
+        sleepButton.connect('clicked', () => {
+            const end = settings.get_int64('sleep-timer-end') ? 0
+                : Date.now() + settings.get_int('sleep-timer-custom') * 60 * 1000;
+            settings.set_int64('sleep-timer-end', end);
+        });
+        sleepRow.add_suffix(sleepButton);
+        sleepGroup.add(sleepRow);
+
+        const syncSleepRow = () => {
+            const end = settings.get_int64('sleep-timer-end');
+            const minutes = settings.get_int('sleep-timer-custom');
+            if (end) {
+                const time = GLib.DateTime.new_from_unix_local(Math.floor(end / 1000)).format('%H:%M');
+                sleepRow.subtitle = `Pausing everything at ${time}`;
+                sleepButton.label = 'Cancel';
+            } else {
+                sleepRow.subtitle = 'Not running';
+                sleepButton.label = `Start ${minutes} Minutes`;
+            }
+        };
+        settings.connect('changed::sleep-timer-end', syncSleepRow);
+        settings.connect('changed::sleep-timer-custom', syncSleepRow);
+        syncSleepRow();
+
+        const sleepCustomRow = new Adw.SpinRow({
+            title: 'Custom Length',
+            subtitle: 'Length (in minutes) of the timer started here, also offered next to the presets.',
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 720,
+                step_increment: 5,
+                page_increment: 15,
+                value: settings.get_int('sleep-timer-custom'),
+            }),
+        });
+        settings.bind('sleep-timer-custom', sleepCustomRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        sleepGroup.add(sleepCustomRow);
+
+        const sleepFadeRow = new Adw.SpinRow({
+            title: 'Fade-Out',
+            subtitle: 'Time (in seconds) over which the volume is lowered before pausing. Volumes are restored afterwards.',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 300,
+                step_increment: 5,
+                page_increment: 30,
+                value: settings.get_int('sleep-timer-fade-duration'),
+            }),
+        });
+        settings.bind('sleep-timer-fade-duration', sleepFadeRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        sleepGroup.add(sleepFadeRow);
+
+        page.add(new AppListGroup(settings, 'pause-for-apps', {
+            title: 'Apps That Pause Playback',
+            description: 'Every player is paused when one of these apps starts, such as a video call app, and resumed once the last of them closes.',
+        }));
+
+        // Focus follows playback
+        const focusGroup = new Adw.PreferencesGroup({
+            title: 'Focus Follows Playback',
+            description: 'Focusing the window of one of the apps below plays its paused player and pauses whatever else is playing.',
+        });
+        page.add(focusGroup);
+
+        const focusRow = new Adw.SwitchRow({
+            title: 'Switch Playback with Focus',
+            subtitle: 'Only apps added below take part.',
+        });
+        settings.bind('focus-follows-playback', focusRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        focusGroup.add(focusRow);
+
+        const focusDelayRow = new Adw.SpinRow({
+            title: 'Focus Delay',
+            subtitle: 'Time (in milliseconds) a window has to keep focus before playback switches to it, so alt-tabbing past it does nothing.',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 10000,
+                step_increment: 100,
+                page_increment: 1000,
+                value: settings.get_int('focus-follows-playback-delay'),
+            }),
+        });
+        settings.bind('focus-follows-playback-delay', focusDelayRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        focusGroup.add(focusDelayRow);
+
+        page.add(new AppListGroup(settings, 'focus-follows-playback-apps', {
+            title: 'Apps That Follow Focus',
+        }));
+
+        window.add(new PlayersPage(settings));
+        window.add(new RulesPage(settings));
+        window.add(new ProfilesPage(settings));
+
+        // Keyboard shortcuts
+        const shortcutsPage = new Adw.PreferencesPage({
+            title: 'Shortcuts',
+            icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        });
+        window.add(shortcutsPage);
+
+        const shortcutsGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcuts',
+            description: 'Click a shortcut to change it.',
+        });
+        shortcutsPage.add(shortcutsGroup);
+
+        const shortcuts = [
+            ['pause-all-shortcut', 'Pause All Players'],
+            ['resume-last-shortcut', 'Resume Last Paused Player'],
+            ['swap-shortcut', 'Swap with Previous Player'],
+            ['toggle-shortcut', 'Turn Smart Pause On or Off'],
+        ];
+        for (const [key, title] of shortcuts) {
+            shortcutsGroup.add(new ShortcutRow(settings, key, title));
+        }
+
+        window.add(new DiagnosticsPage());
     }
 }
 